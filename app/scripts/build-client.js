@@ -0,0 +1,78 @@
+// Builds the browser client into dist/client: bundles src/client with esbuild,
+// names the bundles by content hash, writes gzip and brotli copies next to
+// every file, and records them in manifest.json for src/assets.js.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const esbuild = require('esbuild');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'src', 'client');
+const OUT_DIR = path.join(ROOT, 'dist', 'client');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8'
+};
+
+function contentHash(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex').slice(0, 16);
+}
+
+function writeFile(manifest, file, contents, immutable) {
+  const filePath = path.join(OUT_DIR, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+  fs.writeFileSync(filePath + '.gz', zlib.gzipSync(contents, { level: 9 }));
+  fs.writeFileSync(filePath + '.br', zlib.brotliCompressSync(contents, {
+    params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11 }
+  }));
+  manifest.files[file] = {
+    contentType: CONTENT_TYPES[path.extname(file)],
+    hash: contentHash(contents),
+    immutable
+  };
+}
+
+async function build() {
+  const result = await esbuild.build({
+    entryPoints: {
+      app: path.join(SOURCE_DIR, 'main.js'),
+      style: path.join(SOURCE_DIR, 'style.css')
+    },
+    bundle: true,
+    minify: true,
+    format: 'iife',
+    target: 'es2018',
+    entryNames: '[name]-[hash]',
+    outdir: path.join(OUT_DIR, 'assets'),
+    write: false
+  });
+
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+  const manifest = { files: {} };
+  const assetNames = {};
+
+  result.outputFiles.forEach((output) => {
+    const file = path.relative(OUT_DIR, output.path).split(path.sep).join('/');
+    // app-<hash>.js -> script, style-<hash>.css -> style
+    assetNames[path.extname(file) === '.js' ? 'script' : 'style'] = file;
+    writeFile(manifest, file, Buffer.from(output.contents), true);
+  });
+
+  // Relative links, so the page works under /api/game/ as well as at the root
+  const template = fs.readFileSync(path.join(SOURCE_DIR, 'index.html'), 'utf8');
+  const html = template.replace(/\{\{(script|style)\}\}/g, (match, name) => assetNames[name]);
+  writeFile(manifest, 'index.html', Buffer.from(html), false);
+
+  fs.writeFileSync(path.join(OUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  Object.keys(manifest.files).forEach((file) => console.log(`[BUILD] dist/client/${file}`));
+}
+
+build().catch((error) => {
+  console.error('[BUILD] Client build failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+// Serves the browser client built by scripts/build-client.js from dist/client.
+// Bundles are named by content hash, so they can be cached for good; index.html
+// is revalidated on every load so a deploy is picked up straight away.
+
+const fs = require('fs');
+const path = require('path');
+
+const CLIENT_DIR = process.env.CLIENT_DIR || path.join(__dirname, '..', 'dist', 'client');
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+const REVALIDATE_CACHE = 'no-cache';
+
+// Preferred first
+const ENCODINGS = [
+  { name: 'br', extension: '.br' },
+  { name: 'gzip', extension: '.gz' }
+];
+
+// The manifest and files are read once; a missing build is retried on the next request
+let client = null;
+
+function loadFile(file, entry) {
+  const filePath = path.join(CLIENT_DIR, file);
+  const variants = { identity: fs.readFileSync(filePath) };
+  ENCODINGS.forEach(({ name, extension }) => {
+    if (fs.existsSync(filePath + extension)) {
+      variants[name] = fs.readFileSync(filePath + extension);
+    }
+  });
+  return {
+    contentType: entry.contentType,
+    hash: entry.hash,
+    cacheControl: entry.immutable ? IMMUTABLE_CACHE : REVALIDATE_CACHE,
+    variants
+  };
+}
+
+function loadClient() {
+  if (client) return client;
+
+  const manifestPath = path.join(CLIENT_DIR, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) return null;
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const files = {};
+  Object.entries(manifest.files).forEach(([file, entry]) => {
+    files[file] = loadFile(file, entry);
+  });
+  client = files;
+  return client;
+}
+
+// Pick the smallest encoding the browser accepts. q=0 rules an encoding out.
+function negotiateEncoding(acceptEncoding, variants) {
+  const accepted = new Set();
+  String(acceptEncoding || '').split(',').forEach((part) => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+    if (name && !(q && Number(q.slice(2)) === 0)) {
+      accepted.add(name);
+    }
+  });
+
+  const encoding = ENCODINGS.find(({ name }) => variants[name] && (accepted.has(name) || accepted.has('*')));
+  return encoding ? encoding.name : 'identity';
+}
+
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch.trim() === '*' ||
+    ifNoneMatch.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag);
+}
+
+// GET for anything that isn't an API action: /assets/<name> is a bundle, every
+// other path gets the page. headers are lower-cased.
+function serveClient(pathname, headers = {}) {
+  const files = loadClient();
+  if (!files) {
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'text/plain' },
+      body: 'Client not built - run npm run build:client'
+    };
+  }
+
+  const assetMatch = pathname.match(/\/(assets\/[^/]+)$/);
+  const file = assetMatch ? files[assetMatch[1]] : files['index.html'];
+  if (!file) {
+    return {
+      statusCode: 404,
+      headers: { 'Content-Type': 'text/plain' },
+      body: 'Not found'
+    };
+  }
+
+  const encoding = negotiateEncoding(headers['accept-encoding'], file.variants);
+  // Each encoding is a different representation, so it gets its own tag
+  const etag = encoding === 'identity' ? `"${file.hash}"` : `"${file.hash}-${encoding}"`;
+  const responseHeaders = {
+    'Content-Type': file.contentType,
+    'Cache-Control': file.cacheControl,
+    'ETag': etag,
+    'Vary': 'Accept-Encoding'
+  };
+
+  if (etagMatches(headers['if-none-match'], etag)) {
+    return { statusCode: 304, headers: responseHeaders, body: '' };
+  }
+
+  if (encoding !== 'identity') {
+    responseHeaders['Content-Encoding'] = encoding;
+  }
+  return { statusCode: 200, headers: responseHeaders, body: file.variants[encoding] };
+}
+
+module.exports = { serveClient };
@@ -1,31 +1,66 @@
 const { app } = require('@azure/functions');
 const { handleRequest } = require('./pong');
+const { createRequest } = require('./http');
+
+// Set BEHIND_AZURE_FRONT_DOOR=true when Azure Front Door fronts the app; only
+// then is its X-Azure-ClientIP header the caller's, and not whatever they sent
+const BEHIND_AZURE_FRONT_DOOR = process.env.BEHIND_AZURE_FRONT_DOOR === 'true';
+
+// Strip the port: 1.2.3.4:5678 or [::1]:5678
+function withoutPort(address) {
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    return bracketed[1];
+  }
+  return /^[\d.]+:\d+$/.test(address) ? address.split(':')[0] : address;
+}
+
+// Azure Functions doesn't expose the peer address. Its front end sets X-Client-IP
+// and appends the caller to X-Forwarded-For, as ip:port; the hops before that
+// came from the caller and can't be trusted.
+function clientIpOf(request) {
+  const frontDoorIp = BEHIND_AZURE_FRONT_DOOR && request.headers.get('x-azure-clientip');
+  if (frontDoorIp) {
+    return frontDoorIp;
+  }
+  const clientIp = request.headers.get('x-client-ip');
+  if (clientIp) {
+    return clientIp;
+  }
+  const forwarded = (request.headers.get('x-forwarded-for') || '').split(',').pop().trim();
+  return forwarded ? withoutPort(forwarded) : null;
+}
+
+async function handler(request, context) {
+  // Bodies are read whatever the method; text() is empty when there is none
+  const body = await request.text();
+
+  const response = await handleRequest(createRequest({
+    method: request.method,
+    url: request.url,
+    headers: Object.fromEntries(request.headers),
+    body: body === '' ? null : body,
+    clientIp: clientIpOf(request),
+    requestId: context.invocationId
+  }));
+
+  // The Functions host keeps one value per header, so cookies go separately. It
+  // builds a Fetch API Response, which rejects any body on a 204 or 304.
+  const nullBody = response.statusCode === 204 || response.statusCode === 304;
+  return {
+    status: response.statusCode,
+    headers: response.headers,
+    cookies: response.cookies || [],
+    body: nullBody ? undefined : response.body
+  };
+}
 
 app.http('game', {
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PATCH', 'PUT', 'DELETE'],
   authLevel: 'anonymous',
   route: '{*path}',
-  handler: async (request, context) => {
-    context.log('Game function triggered');
-
-    const method = request.method;
-    const url = request.url;
-    
-    let body = null;
-    if (method === 'POST') {
-      try {
-        body = await request.json();
-      } catch (e) {
-        body = await request.text();
-      }
-    }
-
-    const response = await handleRequest(method, url, body);
-    
-    return {
-      status: response.statusCode,
-      headers: response.headers,
-      body: response.body
-    };
-  }
+  handler
 });
+
+// For the contract tests, which call the handler without the Functions host
+module.exports = { handler };
@@ -0,0 +1,25 @@
+import { API_BASE } from './state.js';
+
+// POST an action to the game API and resolve to its status, Retry-After (seconds,
+// 0 if none) and JSON reply
+export async function sendAction(action, body) {
+    const response = await fetch(API_BASE + '?action=' + action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return {
+        status: response.status,
+        retryAfter: Number(response.headers.get('Retry-After')) || 0,
+        data: await response.json()
+    };
+}
+
+// POST an action to the game API and resolve to its JSON reply
+export async function postAction(action, body) {
+    return (await sendAction(action, body)).data;
+}
+
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,55 @@
+import { postAction } from './api.js';
+import { forfeitBtn, gameControls, pauseBtn, replayBtn, startBtn, winMessage } from './dom.js';
+import { game } from './state.js';
+
+function seat() {
+    return { sessionId: game.sessionId, player: game.playerNumber, token: game.playerToken };
+}
+
+export function setupPlayerControls() {
+    if (startBtn && game.playerNumber === 1) {
+        startBtn.addEventListener('click', async () => {
+            startBtn.classList.add('hidden');
+            await sendControl('start');
+        });
+    }
+
+    if (gameControls) {
+        gameControls.classList.remove('hidden');
+        pauseBtn.addEventListener('click', togglePause);
+        forfeitBtn.addEventListener('click', () => {
+            if (confirm('Forfeit this game?')) {
+                sendControl('forfeit');
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if ((e.key === 'p' || e.key === 'P') && !pauseBtn.disabled) {
+                togglePause();
+            }
+        });
+    }
+
+    if (replayBtn) {
+        replayBtn.addEventListener('click', async () => {
+            winMessage.classList.add('hidden');
+            replayBtn.classList.add('hidden');
+            await sendControl('reset');
+        });
+    }
+}
+
+function togglePause() {
+    sendControl(game.pausedByPlayer ? 'resume' : 'pause');
+}
+
+// start, reset, pause, resume and forfeit; the result shows up in the next state
+async function sendControl(action) {
+    try {
+        const data = await postAction(action, seat());
+        if (!data.success) {
+            console.log(action + ' refused:', data.error);
+        }
+    } catch (error) {
+        console.error('Error sending ' + action + ':', error);
+    }
+}
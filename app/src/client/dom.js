@@ -0,0 +1,40 @@
+// DOM elements (see index.html)
+export const lobby = document.getElementById('lobby');
+export const gameScreen = document.getElementById('game');
+export const openP1Btn = document.getElementById('openP1Btn');
+export const openP2Btn = document.getElementById('openP2Btn');
+export const spectateBtn = document.getElementById('spectateBtn');
+export const findMatchBtn = document.getElementById('findMatchBtn');
+export const queueStatus = document.getElementById('queueStatus');
+export const botDifficulty = document.getElementById('botDifficulty');
+export const playBotBtn = document.getElementById('playBotBtn');
+export const nameInput = document.getElementById('nameInput');
+export const paddleSpeedInput = document.getElementById('paddleSpeedInput');
+export const leaderboardList = document.getElementById('leaderboardList');
+export const leaderboardPrev = document.getElementById('leaderboardPrev');
+export const leaderboardNext = document.getElementById('leaderboardNext');
+export const startBtn = document.getElementById('startBtn');
+export const canvas = document.getElementById('gameCanvas');
+export const ctx = canvas ? canvas.getContext('2d') : null;
+export const p1ScoreDiv = document.getElementById('p1Score');
+export const p2ScoreDiv = document.getElementById('p2Score');
+export const winMessage = document.getElementById('winMessage');
+export const winText = document.getElementById('winText');
+export const replayBtn = document.getElementById('replayBtn');
+export const countdown = document.getElementById('countdown');
+export const timer = document.getElementById('timer');
+export const waitingOverlay = document.getElementById('waitingOverlay');
+export const gameControls = document.getElementById('gameControls');
+export const pauseBtn = document.getElementById('pauseBtn');
+export const forfeitBtn = document.getElementById('forfeitBtn');
+export const playbackControls = document.getElementById('playbackControls');
+export const playbackPauseBtn = document.getElementById('playbackPauseBtn');
+export const playbackSeek = document.getElementById('playbackSeek');
+export const playbackSpeed = document.getElementById('playbackSpeed');
+export const ruleInputs = {
+    pointsToWin: document.getElementById('rulePointsToWin'),
+    ballSpeed: document.getElementById('ruleBallSpeed'),
+    speedUp: document.getElementById('ruleSpeedUp'),
+    paddleHeight: document.getElementById('rulePaddleHeight'),
+    timeLimit: document.getElementById('ruleTimeLimit')
+};
@@ -0,0 +1,80 @@
+// Paddle input: the mouse, dragging a finger on the court, or W/S and the arrow
+// keys (moving at the speed picked in the lobby, in px per second)
+import { CANVAS_HEIGHT } from '../constants.js';
+import { canvas } from './dom.js';
+import { game } from './state.js';
+
+const DEFAULT_PADDLE_SPEED = 600;
+const PADDLE_KEYS = { w: -1, arrowup: -1, s: 1, arrowdown: 1 };
+const heldKeys = new Set();
+let isWindowActive = true;
+let lastKeyFrame = null;
+
+export function paddleSpeed() {
+    const speed = Number(localStorage.getItem('pong:paddleSpeed'));
+    return speed > 0 ? speed : DEFAULT_PADDLE_SPEED;
+}
+
+function moveOwnPaddle(paddleY) {
+    paddleY = Math.max(game.paddleHeight / 2, Math.min(CANVAS_HEIGHT - game.paddleHeight / 2, paddleY));
+    if (game.playerNumber === 1) {
+        game.p1Y = paddleY;
+    } else if (game.playerNumber === 2) {
+        game.p2Y = paddleY;
+    }
+}
+
+// Page coordinates to court coordinates - the canvas may be scaled to fit the window
+function courtY(clientY) {
+    const rect = canvas.getBoundingClientRect();
+    return (clientY - rect.top - canvas.clientTop) * CANVAS_HEIGHT / canvas.clientHeight;
+}
+
+function moveWithKeys(now) {
+    if (lastKeyFrame !== null && heldKeys.size > 0) {
+        let direction = 0;
+        heldKeys.forEach((key) => { direction += PADDLE_KEYS[key]; });
+        const distance = Math.sign(direction) * paddleSpeed() * (now - lastKeyFrame) / 1000;
+        moveOwnPaddle((game.playerNumber === 1 ? game.p1Y : game.p2Y) + distance);
+    }
+    lastKeyFrame = now;
+    requestAnimationFrame(moveWithKeys);
+}
+
+export function setupPaddleInput() {
+    window.addEventListener('focus', () => { isWindowActive = true; });
+    window.addEventListener('blur', () => {
+        isWindowActive = false;
+        heldKeys.clear();
+    });
+
+    document.addEventListener('mousemove', (e) => {
+        if (isWindowActive && canvas) {
+            moveOwnPaddle(courtY(e.clientY));
+        }
+    }, { passive: true });
+
+    if (canvas) {
+        const onTouch = (e) => {
+            if (!game.playerNumber) return;
+            // Keep the page from scrolling while the paddle is dragged
+            e.preventDefault();
+            moveOwnPaddle(courtY(e.touches[0].clientY));
+        };
+        canvas.addEventListener('touchstart', onTouch, { passive: false });
+        canvas.addEventListener('touchmove', onTouch, { passive: false });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        const key = e.key.toLowerCase();
+        if (game.playerNumber && PADDLE_KEYS[key]) {
+            e.preventDefault();
+            heldKeys.add(key);
+        }
+    });
+    document.addEventListener('keyup', (e) => {
+        heldKeys.delete(e.key.toLowerCase());
+    });
+
+    requestAnimationFrame(moveWithKeys);
+}
@@ -0,0 +1,213 @@
+import { DEFAULT_RULES, QUEUE_POLL_INTERVAL } from '../constants.js';
+import { postAction, sendAction, sleep } from './api.js';
+import {
+    botDifficulty,
+    findMatchBtn,
+    leaderboardList,
+    leaderboardNext,
+    leaderboardPrev,
+    nameInput,
+    openP1Btn,
+    openP2Btn,
+    paddleSpeedInput,
+    playBotBtn,
+    queueStatus,
+    ruleInputs,
+    spectateBtn
+} from './dom.js';
+import { paddleSpeed } from './input.js';
+import { openGameWindow, playerName } from './seat.js';
+import { game } from './state.js';
+
+const LEADERBOARD_PAGE_SIZE = 10;
+// Longest we wait between queue polls while the server is refusing them (ms)
+const QUEUE_MAX_BACKOFF = 30000;
+let leaderboardOffset = 0;
+
+export async function initializeLobby() {
+    if (nameInput) {
+        nameInput.value = localStorage.getItem('pong:name') || '';
+        nameInput.addEventListener('change', () => {
+            localStorage.setItem('pong:name', nameInput.value.trim());
+        });
+    }
+    if (paddleSpeedInput) {
+        paddleSpeedInput.value = paddleSpeed();
+        paddleSpeedInput.addEventListener('change', () => {
+            localStorage.setItem('pong:paddleSpeed', paddleSpeedInput.value);
+        });
+    }
+    // The lobby's session is created up front; changing a rule replaces it
+    Object.entries(ruleInputs).forEach(([rule, input]) => {
+        if (!input) return;
+        if (DEFAULT_RULES[rule] !== null) {
+            input.value = DEFAULT_RULES[rule];
+        }
+        input.addEventListener('change', createSession);
+    });
+    await createSession();
+    setupLobby();
+    loadLeaderboard();
+}
+
+function readRules() {
+    const rules = {};
+    Object.entries(ruleInputs).forEach(([rule, input]) => {
+        if (input && input.value !== '') {
+            rules[rule] = Number(input.value);
+        }
+    });
+    return rules;
+}
+
+async function loadLeaderboard() {
+    try {
+        const data = await postAction('leaderboard', { offset: leaderboardOffset, limit: LEADERBOARD_PAGE_SIZE });
+        if (!data.success) return;
+
+        leaderboardList.innerHTML = '';
+        leaderboardList.start = data.offset + 1;
+        if (data.entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No games played yet';
+            leaderboardList.appendChild(empty);
+        }
+        data.entries.forEach((entry) => {
+            const item = document.createElement('li');
+            item.textContent = entry.name + ' - ' + entry.wins + (entry.wins === 1 ? ' win' : ' wins');
+            leaderboardList.appendChild(item);
+        });
+        leaderboardPrev.disabled = data.offset === 0;
+        leaderboardNext.disabled = data.offset + data.entries.length >= data.total;
+    } catch (error) {
+        console.error('Error loading leaderboard:', error);
+    }
+}
+
+async function createSession() {
+    try {
+        console.log('Creating session...');
+        const data = await postAction('create', { name: playerName(), rules: readRules() });
+
+        if (data.success) {
+            game.sessionId = data.sessionId;
+            game.playerToken = data.token;
+            console.log('Session created:', game.sessionId);
+        } else {
+            console.error('Failed to create session:', data);
+        }
+    } catch (error) {
+        console.error('Error creating session:', error);
+    }
+}
+
+function gameUrl(query) {
+    return window.location.origin + window.location.pathname + query;
+}
+
+function setupLobby() {
+    console.log('Setting up lobby with sessionId:', game.sessionId);
+    if (openP1Btn) {
+        openP1Btn.addEventListener('click', () => {
+            // Player 1's seat token was issued to the lobby by create
+            const p1Url = gameUrl('?session=' + game.sessionId + '&player=1#token=' + encodeURIComponent(game.playerToken));
+            console.log('Opening Player 1 URL:', p1Url);
+            openGameWindow(p1Url, 'Player1', 'width=450,height=700,left=100,top=100');
+        });
+    }
+
+    if (openP2Btn) {
+        openP2Btn.addEventListener('click', () => {
+            const p2Url = gameUrl('?session=' + game.sessionId + '&player=2');
+            console.log('Opening Player 2 URL:', p2Url);
+            openGameWindow(p2Url, 'Player2', 'width=450,height=700,left=570,top=100');
+        });
+    }
+
+    if (findMatchBtn) {
+        findMatchBtn.addEventListener('click', findMatch);
+    }
+
+    if (playBotBtn) {
+        playBotBtn.addEventListener('click', playBot);
+    }
+
+    if (leaderboardPrev && leaderboardNext) {
+        leaderboardPrev.addEventListener('click', () => {
+            leaderboardOffset = Math.max(0, leaderboardOffset - LEADERBOARD_PAGE_SIZE);
+            loadLeaderboard();
+        });
+        leaderboardNext.addEventListener('click', () => {
+            leaderboardOffset += LEADERBOARD_PAGE_SIZE;
+            loadLeaderboard();
+        });
+    }
+
+    if (spectateBtn) {
+        spectateBtn.addEventListener('click', () => {
+            const spectateUrl = gameUrl('?session=' + game.sessionId + '&player=spectator');
+            console.log('Opening spectator URL:', spectateUrl);
+            openGameWindow(spectateUrl, 'Spectator', 'width=850,height=700,left=100,top=100');
+        });
+    }
+}
+
+// Take a seat we were given in this tab
+function takeSeat(sessionId, player, token) {
+    window.location.href = window.location.pathname + '?session=' + sessionId + '&player=' + player + '#token=' + encodeURIComponent(token);
+}
+
+// Matchmaking: wait in the queue, then take the seat we were given in this tab.
+// The ticket holds our place, so it is only given up once the server has
+// forgotten it; while the server is busy or down we poll less often.
+async function findMatch() {
+    findMatchBtn.classList.add('hidden');
+    queueStatus.classList.remove('hidden');
+    let ticket = null;
+    let delay = QUEUE_POLL_INTERVAL;
+
+    while (true) {
+        try {
+            const { status, retryAfter, data } = await sendAction('queue', { ticket: ticket || undefined, name: playerName() });
+
+            if (data.success && data.matched) {
+                console.log('Matched into session', data.sessionId, 'as player', data.player);
+                takeSeat(data.sessionId, data.player, data.token);
+                return;
+            }
+            if (data.success) {
+                ticket = data.ticket;
+                delay = QUEUE_POLL_INTERVAL;
+            } else if (status === 404) {
+                // An expired ticket is dropped and we queue up again
+                ticket = null;
+                delay = QUEUE_POLL_INTERVAL;
+            } else if (status === 429 || status === 503) {
+                delay = Math.max(retryAfter * 1000, Math.min(delay * 2, QUEUE_MAX_BACKOFF));
+            }
+        } catch (error) {
+            console.error('Error polling queue:', error);
+            delay = Math.min(delay * 2, QUEUE_MAX_BACKOFF);
+        }
+        await sleep(delay);
+    }
+}
+
+// Bot games get their own session with the server playing seat 2; we take seat 1 in this tab
+async function playBot() {
+    try {
+        const data = await postAction('create', {
+            name: playerName(),
+            rules: readRules(),
+            opponent: { type: 'bot', difficulty: botDifficulty.value }
+        });
+
+        if (data.success) {
+            takeSeat(data.sessionId, 1, data.token);
+        } else {
+            console.error('Failed to create bot game:', data);
+        }
+    } catch (error) {
+        console.error('Error creating bot game:', error);
+    }
+}
@@ -0,0 +1,57 @@
+// Browser entry point, bundled by scripts/build-client.js
+import { CANVAS_HEIGHT, CANVAS_WIDTH, FULL_WIDTH } from '../constants.js';
+import { setupPlayerControls } from './controls.js';
+import { canvas, gameScreen, lobby, startBtn } from './dom.js';
+import { setupPaddleInput } from './input.js';
+import { initializeLobby } from './lobby.js';
+import { startPlayback } from './playback.js';
+import { fitCanvas } from './render.js';
+import { joinSession, loadPlayerToken } from './seat.js';
+import { game, isSpectator, playerParam, replayParam, sessionParam } from './state.js';
+import { connectEvents, startSync } from './sync.js';
+
+if (canvas) {
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+}
+setupPaddleInput();
+
+function showGame() {
+    if (lobby) lobby.classList.add('hidden');
+    if (gameScreen) gameScreen.classList.remove('hidden');
+}
+
+if (replayParam) {
+    game.sessionId = replayParam;
+    showGame();
+    if (canvas) canvas.width = FULL_WIDTH;
+    startPlayback();
+} else if (sessionParam && playerParam) {
+    game.sessionId = sessionParam;
+    game.playerNumber = isSpectator ? null : parseInt(playerParam);
+    showGame();
+
+    if (!isSpectator) {
+        game.playerToken = loadPlayerToken();
+    }
+
+    if (isSpectator) {
+        if (canvas) canvas.width = FULL_WIDTH;
+        connectEvents();
+    } else if (game.playerNumber === 1) {
+        if (startBtn) startBtn.classList.remove('hidden');
+        setupPlayerControls();
+        startSync();
+    } else if (game.playerNumber === 2) {
+        // A reload keeps the seat: only join when this tab has no token yet
+        (game.playerToken ? Promise.resolve() : joinSession()).then(() => {
+            setupPlayerControls();
+            startSync();
+        });
+    }
+} else {
+    initializeLobby();
+}
+
+fitCanvas();
+window.addEventListener('resize', fitCanvas);
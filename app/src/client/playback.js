@@ -0,0 +1,95 @@
+import { postAction } from './api.js';
+import { playbackControls, playbackPauseBtn, playbackSeek, playbackSpeed, winMessage, winText } from './dom.js';
+import { game } from './state.js';
+import { applyState } from './sync.js';
+
+// Replay mode: frames carry server timestamps, and the playhead walks through
+// them at the chosen speed, showing the latest frame at or before it. Every
+// game played in the session (each run) is in there, one after the other.
+export async function startPlayback() {
+    const frames = [];
+    let after;
+    try {
+        // The frames come a page at a time; if a later page fails we play what we have
+        do {
+            const data = await postAction('replay', { sessionId: game.sessionId, after });
+            if (!data.success) {
+                if (frames.length > 0) {
+                    console.error('Error loading replay:', data.error);
+                    break;
+                }
+                winText.textContent = 'REPLAY NOT FOUND';
+                winMessage.classList.remove('hidden');
+                return;
+            }
+            frames.push(...data.frames);
+            after = data.next;
+        } while (after);
+    } catch (error) {
+        console.error('Error loading replay:', error);
+        if (frames.length === 0) {
+            return;
+        }
+    }
+
+    const startTime = frames[0].t;
+    const duration = frames[frames.length - 1].t - startTime;
+    let playhead = 0;
+    let paused = false;
+    let lastTick = performance.now();
+    let shownFrame = null;
+
+    playbackSeek.max = duration;
+    playbackControls.classList.remove('hidden');
+
+    function setPaused(value) {
+        paused = value;
+        playbackPauseBtn.textContent = paused ? 'Play' : 'Pause';
+    }
+
+    playbackPauseBtn.addEventListener('click', () => {
+        // Playing again from the end starts over
+        if (paused && playhead >= duration) {
+            playhead = 0;
+        }
+        setPaused(!paused);
+    });
+    playbackSeek.addEventListener('input', () => {
+        playhead = Number(playbackSeek.value);
+    });
+
+    function tick(now) {
+        if (!paused) {
+            playhead = Math.min(duration, playhead + (now - lastTick) * Number(playbackSpeed.value));
+            playbackSeek.value = playhead;
+            if (playhead >= duration) {
+                setPaused(true);
+            }
+        }
+        lastTick = now;
+
+        const frame = frameAt(frames, startTime + playhead);
+        if (frame !== shownFrame) {
+            shownFrame = frame;
+            game.paddleHeight = frame.paddleHeight;
+            applyState(frame);
+        }
+        requestAnimationFrame(tick);
+    }
+    requestAnimationFrame(tick);
+}
+
+// Binary search for the last frame at or before time t
+function frameAt(frames, t) {
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (frames[mid].t <= t) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return frames[low];
+}
@@ -0,0 +1,67 @@
+import { BALL_SIZE, CANVAS_HEIGHT, CANVAS_WIDTH, FULL_WIDTH, PADDLE_WIDTH } from '../constants.js';
+import { canvas, ctx } from './dom.js';
+import { game, isSpectator, replayParam } from './state.js';
+
+// Players see their own half of the court; spectators and replays see all of it
+export function render() {
+    if (!ctx) return;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, CANVAS_HEIGHT);
+    ctx.fillStyle = '#0f0';
+
+    if (isSpectator || replayParam) {
+        ctx.strokeStyle = '#0f0';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([10, 10]);
+        ctx.beginPath();
+        ctx.moveTo(FULL_WIDTH / 2, 0);
+        ctx.lineTo(FULL_WIDTH / 2, CANVAS_HEIGHT);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillRect(0, game.p1Y - game.paddleHeight / 2, PADDLE_WIDTH, game.paddleHeight);
+        ctx.fillRect(FULL_WIDTH - PADDLE_WIDTH, game.p2Y - game.paddleHeight / 2, PADDLE_WIDTH, game.paddleHeight);
+        ctx.fillRect(game.ballX - BALL_SIZE / 2, game.ballY - BALL_SIZE / 2, BALL_SIZE, BALL_SIZE);
+    } else if (game.playerNumber === 1) {
+        ctx.strokeStyle = '#0f0';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([10, 10]);
+        ctx.beginPath();
+        ctx.moveTo(CANVAS_WIDTH - 1, 0);
+        ctx.lineTo(CANVAS_WIDTH - 1, CANVAS_HEIGHT);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillRect(0, game.p1Y - game.paddleHeight / 2, PADDLE_WIDTH, game.paddleHeight);
+
+        if (game.ballX <= CANVAS_WIDTH) {
+            ctx.fillRect(game.ballX - BALL_SIZE / 2, game.ballY - BALL_SIZE / 2, BALL_SIZE, BALL_SIZE);
+        }
+    } else {
+        ctx.strokeStyle = '#0f0';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([10, 10]);
+        ctx.beginPath();
+        ctx.moveTo(1, 0);
+        ctx.lineTo(1, CANVAS_HEIGHT);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillRect(CANVAS_WIDTH - PADDLE_WIDTH, game.p2Y - game.paddleHeight / 2, PADDLE_WIDTH, game.paddleHeight);
+
+        if (game.ballX >= CANVAS_WIDTH) {
+            const localBallX = game.ballX - CANVAS_WIDTH;
+            ctx.fillRect(localBallX - BALL_SIZE / 2, game.ballY - BALL_SIZE / 2, BALL_SIZE, BALL_SIZE);
+        }
+    }
+}
+
+// Scale the court to the window, keeping its shape. Game coordinates don't change.
+export function fitCanvas() {
+    if (!canvas) return;
+    const border = 2 * canvas.clientTop;
+    const scale = Math.min((window.innerWidth - border) / canvas.width, (window.innerHeight - border) / CANVAS_HEIGHT);
+    canvas.style.width = Math.floor(canvas.width * scale) + 'px';
+    canvas.style.height = Math.floor(CANVAS_HEIGHT * scale) + 'px';
+}
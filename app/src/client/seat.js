@@ -0,0 +1,51 @@
+import { postAction } from './api.js';
+import { game } from './state.js';
+
+// Seat tokens arrive in the URL fragment (which is never sent to the server) or
+// from join, and are kept in sessionStorage for the life of the tab
+function playerTokenKey() {
+    return 'pong:' + game.sessionId + ':' + game.playerNumber;
+}
+
+export function loadPlayerToken() {
+    const hashParams = new URLSearchParams(window.location.hash.substring(1));
+    const tokenParam = hashParams.get('token');
+    if (tokenParam) {
+        sessionStorage.setItem(playerTokenKey(), tokenParam);
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+    return sessionStorage.getItem(playerTokenKey());
+}
+
+// Display name for history and the leaderboard, remembered across visits
+export function playerName() {
+    const name = (localStorage.getItem('pong:name') || '').trim();
+    return /^[A-Za-z0-9 _.-]{1,20}$/.test(name) ? name : undefined;
+}
+
+export async function joinSession() {
+    try {
+        const data = await postAction('join', { sessionId: game.sessionId, name: playerName() });
+
+        if (data.success) {
+            game.playerToken = data.token;
+            sessionStorage.setItem(playerTokenKey(), game.playerToken);
+            console.log('Joined session:', game.sessionId);
+        } else {
+            console.error('Failed to join session:', data.error);
+        }
+    } catch (error) {
+        console.error('Error joining session:', error);
+    }
+}
+
+// Open a game page. Popups are blocked or become tabs on phones, so there (or
+// when a popup is refused) we just follow the link.
+const isTouchDevice = window.matchMedia('(pointer: coarse)').matches;
+
+export function openGameWindow(url, name, features) {
+    const popup = isTouchDevice ? null : window.open(url, name, features);
+    if (!popup) {
+        window.location.href = url;
+    }
+}
@@ -0,0 +1,33 @@
+// Client state shared by the modules, which read and update its fields directly
+import { CANVAS_HEIGHT, FULL_WIDTH, PADDLE_HEIGHT } from '../constants.js';
+
+// Determine API base path based on environment
+export const API_BASE = window.location.pathname.includes('/api/') ? '/api/game' : '';
+
+export const game = {
+    sessionId: null,
+    playerNumber: null,
+    playerToken: null,
+    gameStarted: false,
+    p1Y: CANVAS_HEIGHT / 2,
+    p2Y: CANVAS_HEIGHT / 2,
+    ballX: FULL_WIDTH / 2,
+    ballY: CANVAS_HEIGHT / 2,
+    p1Score: 0,
+    p2Score: 0,
+    winner: null,
+    // Paddle size is a session rule; the server sends it with the state
+    paddleHeight: PADDLE_HEIGHT,
+    vsBot: false,
+    forfeitedBy: null,
+    pausedByPlayer: false
+};
+
+// How this page was opened: ?session=...&player=1|2|spectator, ?replay=... or plain (the lobby)
+const urlParams = new URLSearchParams(window.location.search);
+export const sessionParam = urlParams.get('session');
+export const playerParam = urlParams.get('player');
+// Spectators watch the whole court and hold no seat, so the server refuses their updates
+export const isSpectator = playerParam === 'spectator';
+// Replays of a recorded session are watched the same way
+export const replayParam = urlParams.get('replay');
@@ -0,0 +1,234 @@
+import { HEARTBEAT_INTERVAL, PAUSES_PER_GAME, UPDATE_INTERVAL } from '../constants.js';
+import { postAction, sleep } from './api.js';
+import {
+    countdown,
+    forfeitBtn,
+    p1ScoreDiv,
+    p2ScoreDiv,
+    pauseBtn,
+    replayBtn,
+    timer,
+    waitingOverlay,
+    winMessage,
+    winText
+} from './dom.js';
+import { render } from './render.js';
+import { API_BASE, game } from './state.js';
+
+// The server owns the ball, scores and winner; each client only reports its paddle
+async function sendUpdate() {
+    try {
+        await postAction('update', {
+            sessionId: game.sessionId,
+            player: game.playerNumber,
+            token: game.playerToken,
+            paddleY: game.playerNumber === 1 ? game.p1Y : game.p2Y
+        });
+    } catch (error) {
+        console.error('Error sending update:', error);
+    }
+}
+
+export function applyState(state) {
+    if (state.countdownActive && state.countdownValue > 0 && countdown) {
+        if (countdown.classList.contains('hidden')) {
+            countdown.classList.remove('hidden');
+            winMessage.classList.add('hidden');
+            replayBtn.classList.add('hidden');
+        }
+        if (countdown.textContent != state.countdownValue) {
+            countdown.textContent = state.countdownValue;
+        }
+    } else if (countdown && !countdown.classList.contains('hidden')) {
+        countdown.classList.add('hidden');
+    }
+
+    // The server pauses the game while a player's heartbeats are missing, or
+    // when a player asks for it
+    game.pausedByPlayer = Boolean(state.paused && state.pauseReason === 'player');
+    if (waitingOverlay) {
+        if (state.paused && state.pauseReason === 'disconnect') {
+            waitingOverlay.textContent = game.playerNumber ? 'WAITING FOR OPPONENT...' : 'WAITING FOR PLAYERS...';
+            waitingOverlay.classList.remove('hidden');
+        } else if (game.pausedByPlayer) {
+            waitingOverlay.textContent = 'PAUSED BY PLAYER ' + state.pausedBy;
+            waitingOverlay.classList.remove('hidden');
+        } else {
+            waitingOverlay.classList.add('hidden');
+        }
+    }
+    if (pauseBtn && game.playerNumber) {
+        const pausesLeft = PAUSES_PER_GAME - (state['p' + game.playerNumber + 'Pauses'] || 0);
+        const inProgress = !state.winner && (state.gameStarted || state.countdownActive || state.paused);
+        pauseBtn.textContent = game.pausedByPlayer ? 'RESUME' : 'PAUSE (' + pausesLeft + ')';
+        pauseBtn.disabled = !inProgress || (!game.pausedByPlayer && (state.paused || pausesLeft <= 0));
+        forfeitBtn.disabled = !inProgress;
+    }
+
+    if (state.opponent) {
+        game.vsBot = state.opponent.type === 'bot';
+    }
+    game.forfeitedBy = state.forfeitedBy || null;
+    if (state.rules) {
+        game.paddleHeight = state.rules.paddleHeight;
+    }
+    updateTimer(state);
+
+    game.gameStarted = state.gameStarted;
+    game.ballX = state.ballX;
+    game.ballY = state.ballY;
+    game.p1Score = state.p1Score;
+    game.p2Score = state.p2Score;
+
+    // Our own paddle follows the mouse; everything else comes from the server
+    if (game.playerNumber !== 1) {
+        game.p1Y = state.p1Y;
+    }
+    if (game.playerNumber !== 2) {
+        game.p2Y = state.p2Y;
+    }
+
+    if (state.winner && !game.winner) {
+        game.winner = state.winner;
+        endGame();
+    } else if (!state.winner && game.winner) {
+        // Someone pressed replay
+        game.winner = null;
+        winMessage.classList.add('hidden');
+        replayBtn.classList.add('hidden');
+    }
+
+    updateScores();
+    render();
+}
+
+// Paddle updates go out at most every UPDATE_INTERVAL and only when the paddle
+// moved - but at least every HEARTBEAT_INTERVAL, so the server knows we are
+// still here even while the paddle stands still. State arrives over the
+// server's push channel when it has one (the Express server does), otherwise by
+// polling (Lambda, Azure Functions).
+export function startSync() {
+    startPaddleUpdates();
+    connectEvents();
+}
+
+function startPaddleUpdates() {
+    let lastSentY = null;
+    let lastSentAt = 0;
+    setInterval(async () => {
+        const paddleY = game.playerNumber === 1 ? game.p1Y : game.p2Y;
+        const moved = !game.winner && paddleY !== lastSentY;
+        if (moved || Date.now() - lastSentAt >= HEARTBEAT_INTERVAL) {
+            lastSentY = paddleY;
+            lastSentAt = Date.now();
+            await sendUpdate();
+        }
+    }, UPDATE_INTERVAL);
+}
+
+export function connectEvents() {
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+
+    const source = new EventSource(API_BASE + '?action=events&sessionId=' + encodeURIComponent(game.sessionId));
+    let opened = false;
+    source.onopen = () => {
+        opened = true;
+    };
+    source.onmessage = (event) => {
+        applyState(JSON.parse(event.data));
+    };
+    source.onerror = () => {
+        // An error before the stream ever opened means this server has no push
+        // channel; later errors are reconnected by EventSource itself
+        if (!opened) {
+            console.log('Push channel unavailable, polling for state');
+            source.close();
+            startPolling();
+        }
+    };
+}
+
+// Long poll: after the first full state, ask only for what changed since the
+// version we have. The server holds the request until something changes.
+async function startPolling() {
+    let state = null;
+
+    while (true) {
+        try {
+            const request = state
+                ? { sessionId: game.sessionId, sinceVersion: state.version }
+                : { sessionId: game.sessionId };
+            if (game.playerNumber) {
+                // Our polls double as heartbeats
+                request.player = game.playerNumber;
+                request.token = game.playerToken;
+            }
+            const data = await postAction('state', request);
+
+            if (data.success) {
+                if (data.state) {
+                    state = data.state;
+                } else if (data.changed) {
+                    state = Object.assign({}, state, data.delta, { version: data.version });
+                }
+                applyState(state);
+            } else {
+                await sleep(1000);
+            }
+        } catch (error) {
+            console.error('Error polling state:', error);
+            await sleep(1000);
+        }
+
+        // Changes come back immediately while the ball is moving; don't outpace the server
+        await sleep(UPDATE_INTERVAL);
+    }
+}
+
+// Time left under a time limit, measured on the server's clock
+function updateTimer(state) {
+    if (!timer) return;
+    const timeLimit = state.rules && state.rules.timeLimit;
+    if (!timeLimit || !state.startedAt) {
+        timer.classList.add('hidden');
+        return;
+    }
+    // The clock stands still while the game is paused
+    const now = state.pausedAt || state.lastUpdate;
+    const remaining = Math.max(0, Math.ceil((state.startedAt + timeLimit * 1000 - now) / 1000));
+    timer.textContent = Math.floor(remaining / 60) + ':' + String(remaining % 60).padStart(2, '0');
+    timer.classList.remove('hidden');
+}
+
+function updateScores() {
+    p1ScoreDiv.innerHTML = '';
+    p2ScoreDiv.innerHTML = '';
+
+    for (let i = 0; i < game.p1Score; i++) {
+        const ball = document.createElement('div');
+        ball.className = 'score-ball';
+        p1ScoreDiv.appendChild(ball);
+    }
+
+    for (let i = 0; i < game.p2Score; i++) {
+        const ball = document.createElement('div');
+        ball.className = 'score-ball';
+        p2ScoreDiv.appendChild(ball);
+    }
+}
+
+function endGame() {
+    if (winText) {
+        winText.textContent = 'PLAYER ' + game.winner + (game.forfeitedBy ? ' WINS BY FORFEIT!' : ' WINS!');
+    }
+    winMessage.classList.remove('hidden');
+
+    // The bot never asks for a rematch, so against it the player always may
+    const isLoser = (game.playerNumber === 1 && game.winner === 2) || (game.playerNumber === 2 && game.winner === 1);
+    if ((isLoser || game.vsBot) && replayBtn) {
+        replayBtn.classList.remove('hidden');
+    }
+}
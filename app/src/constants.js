@@ -0,0 +1,54 @@
+// Game constants shared by the server (pong.js) and the browser client, which has
+// them bundled in at build time (scripts/build-client.js)
+
+const FULL_WIDTH = 800;
+const CANVAS_WIDTH = 400;
+const CANVAS_HEIGHT = 600;
+const PADDLE_WIDTH = 20;
+const PADDLE_HEIGHT = 100;
+const BALL_SIZE = 16;
+const WINNING_SCORE = 3;
+const UPDATE_INTERVAL = 50;
+const BASE_BALL_SPEED = 10;
+const BALL_SPEED_UP = 1.5;
+// Fastest the ball is served after speed-ups (px per step), whatever the rules:
+// it still takes the ball 20 steps to cross the court
+const MAX_BALL_SPEED = 40;
+
+// Rules a session is played by unless `create` says otherwise. timeLimit is in
+// seconds; when it runs out the leader wins, and a tie goes to the next point.
+const DEFAULT_RULES = {
+  pointsToWin: WINNING_SCORE,
+  ballSpeed: BASE_BALL_SPEED,
+  speedUp: BALL_SPEED_UP,
+  paddleHeight: PADDLE_HEIGHT,
+  timeLimit: null
+};
+
+// Players send an update or state request at least this often (ms) so the server
+// knows they are still there
+const HEARTBEAT_INTERVAL = 1000;
+
+// How many times each player may pause a game with the `pause` action
+const PAUSES_PER_GAME = 3;
+
+// How often a queued player polls the matchmaking queue (ms)
+const QUEUE_POLL_INTERVAL = 1000;
+
+module.exports = {
+  FULL_WIDTH,
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  PADDLE_WIDTH,
+  PADDLE_HEIGHT,
+  BALL_SIZE,
+  WINNING_SCORE,
+  UPDATE_INTERVAL,
+  BASE_BALL_SPEED,
+  BALL_SPEED_UP,
+  MAX_BALL_SPEED,
+  DEFAULT_RULES,
+  HEARTBEAT_INTERVAL,
+  PAUSES_PER_GAME,
+  QUEUE_POLL_INTERVAL
+};
@@ -0,0 +1,52 @@
+// Fetch API handler, Request in and Response out, for worker-style runtimes.
+// Bun serves this module as it is (`bun src/fetch.js`); Deno can pass
+// `fetch` to Deno.serve, and bundlers targeting other workers can wrap it.
+// It reads the built client from disk and, with SESSION_STORE=memory, keeps
+// sessions in the process, so it suits runtimes with a filesystem and a single
+// long-lived process.
+const { handleRequest } = require('./pong');
+const { createRequest, serializeCookie } = require('./http');
+
+// Set BEHIND_CLOUDFLARE=true when Cloudflare proxies the server; only then is
+// its CF-Connecting-IP header the caller's, and not whatever the caller sent
+const BEHIND_CLOUDFLARE = process.env.BEHIND_CLOUDFLARE === 'true';
+
+// Each runtime reports the caller differently: Bun through the server passed as
+// the second argument, Deno in the connection info
+function clientIpOf(request, context) {
+  const connectingIp = BEHIND_CLOUDFLARE && request.headers.get('cf-connecting-ip');
+  if (connectingIp) {
+    return connectingIp;
+  }
+  if (context && typeof context.requestIP === 'function') {
+    const address = context.requestIP(request);
+    return address ? address.address : null;
+  }
+  if (context && context.remoteAddr) {
+    return context.remoteAddr.hostname || null;
+  }
+  return null;
+}
+
+async function fetch(request, context) {
+  const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
+  const body = hasBody ? await request.text() : '';
+
+  const response = await handleRequest(createRequest({
+    method: request.method,
+    url: request.url,
+    headers: Object.fromEntries(request.headers),
+    body: body === '' ? null : body,
+    clientIp: clientIpOf(request, context)
+  }));
+
+  // Headers, unlike a plain object, can hold a Set-Cookie per cookie
+  const headers = new Headers(response.headers);
+  (response.cookies || []).forEach((cookie) => headers.append('Set-Cookie', serializeCookie(cookie)));
+
+  // The Response constructor rejects a body, even an empty one, on these statuses
+  const nullBody = response.statusCode === 204 || response.statusCode === 304;
+  return new Response(nullBody ? null : response.body, { status: response.statusCode, headers });
+}
+
+module.exports = { fetch, port: process.env.PORT || 3000 };
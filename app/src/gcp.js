@@ -0,0 +1,38 @@
+// Google Cloud Functions (2nd gen) and Cloud Run handler, served by the
+// Functions Framework: deploy with --entry-point=pong, or run
+// `functions-framework --target=pong` in a container
+const functions = require('@google-cloud/functions-framework');
+const { handleRequest } = require('./pong');
+const { createRequest, serializeCookie, InvalidUrlError } = require('./http');
+
+functions.http('pong', async (req, res) => {
+  // The framework has already parsed the body; rawBody keeps it as sent.
+  // It trusts X-Forwarded-For from Google's front end, so req.ip is the caller.
+  let request;
+  try {
+    request = createRequest({
+      method: req.method,
+      url: req.originalUrl,
+      headers: req.headers,
+      body: req.rawBody || null,
+      clientIp: req.ip,
+      requestId: req.executionId
+    });
+  } catch (error) {
+    if (error instanceof InvalidUrlError) {
+      res.status(400).json({ success: false, error: 'Invalid request URL' });
+      return;
+    }
+    throw error;
+  }
+  const response = await handleRequest(request);
+
+  res.status(response.statusCode);
+  Object.entries(response.headers).forEach(([key, value]) => {
+    res.setHeader(key, value);
+  });
+  if (response.cookies && response.cookies.length > 0) {
+    res.setHeader('Set-Cookie', response.cookies.map(serializeCookie));
+  }
+  res.send(response.body);
+});
@@ -0,0 +1,123 @@
+// The request and response shapes handleRequest works with. Each adapter maps
+// its platform's event onto createRequest() and the response back onto the
+// platform, so pong.js sees the same thing wherever it runs.
+//
+// A request:
+//   method     - upper case
+//   url        - path and query string, as sent
+//   path       - the path alone, still percent-encoded
+//   query      - URLSearchParams, repeated parameters kept
+//   headers    - lower-case names; repeated headers joined with ", "
+//   cookies    - name -> value, from the Cookie header
+//   body       - the raw body as text, or null
+//   clientIp   - the caller's address, if the platform knows it
+//   requestId  - the platform's ID for the request, if it has one
+//
+// A response:
+//   statusCode - number
+//   headers    - name -> string
+//   cookies    - optional list of { name, value, path, domain, expires (a
+//                Date), maxAge (seconds), secure, httpOnly, sameSite }. Azure
+//                Functions takes them as they are; other adapters send each as
+//                its own Set-Cookie header (see serializeCookie)
+//   body       - a string, or a Buffer for binary content. Adapters whose
+//                platform only carries text send Buffers base64 encoded.
+
+function normalizeHeaders(headers) {
+  const normalized = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    const key = name.toLowerCase();
+    const values = Array.isArray(value) ? value.map(String) : [String(value)];
+    // Several Cookie headers (HTTP/2, Lambda multi-value headers) make one list
+    const separator = key === 'cookie' ? '; ' : ', ';
+    normalized[key] = normalized[key] !== undefined
+      ? [normalized[key], ...values].join(separator)
+      : values.join(separator);
+  });
+  return normalized;
+}
+
+// A malformed cookie value is kept as it is rather than failing the request
+function decodeCookieValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach((pair) => {
+    const index = pair.indexOf('=');
+    if (index < 0) return;
+    const name = pair.slice(0, index).trim();
+    let value = pair.slice(index + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+      value = value.slice(1, -1);
+    }
+    // The first of several cookies with the same name is the most specific one
+    if (name && !(name in cookies)) {
+      cookies[name] = decodeCookieValue(value);
+    }
+  });
+  return cookies;
+}
+
+// Thrown by createRequest for a URL that can't be parsed; adapters answer 400
+class InvalidUrlError extends Error {
+  constructor(url) {
+    super(`Invalid request URL: ${url}`);
+    this.name = 'InvalidUrlError';
+  }
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url, 'http://localhost');
+  } catch (error) {
+    throw new InvalidUrlError(url);
+  }
+}
+
+// url is the path and query string; a full URL is accepted too. headers map
+// names to a string or an array of strings. body may be text or a Buffer.
+function createRequest({ method = 'GET', url = '/', headers = {}, body = null, clientIp = null, requestId = null }) {
+  const urlObj = parseUrl(url);
+  const normalizedHeaders = normalizeHeaders(headers);
+
+  let rawBody = null;
+  if (Buffer.isBuffer(body)) {
+    rawBody = body.toString('utf8');
+  } else if (typeof body === 'string') {
+    rawBody = body;
+  }
+
+  return {
+    method: method.toUpperCase(),
+    url: urlObj.pathname + urlObj.search,
+    path: urlObj.pathname,
+    query: urlObj.searchParams,
+    headers: normalizedHeaders,
+    cookies: parseCookies(normalizedHeaders.cookie),
+    body: rawBody,
+    clientIp: clientIp || null,
+    requestId: requestId || null
+  };
+}
+
+// A response cookie as a Set-Cookie header value
+function serializeCookie(cookie) {
+  const parts = [`${cookie.name}=${encodeURIComponent(cookie.value)}`];
+  if (cookie.path) parts.push(`Path=${cookie.path}`);
+  if (cookie.domain) parts.push(`Domain=${cookie.domain}`);
+  if (cookie.expires) parts.push(`Expires=${cookie.expires.toUTCString()}`);
+  if (cookie.maxAge !== undefined) parts.push(`Max-Age=${Math.floor(cookie.maxAge)}`);
+  if (cookie.secure) parts.push('Secure');
+  if (cookie.httpOnly) parts.push('HttpOnly');
+  if (cookie.sameSite) parts.push(`SameSite=${cookie.sameSite}`);
+  return parts.join('; ');
+}
+
+module.exports = { createRequest, parseCookies, serializeCookie, InvalidUrlError };
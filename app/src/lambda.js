@@ -1,21 +1,80 @@
-// AWS Lambda handler
+// AWS Lambda handler, for API Gateway REST APIs (payload format 1.0) and HTTP
+// APIs and function URLs (payload format 2.0)
 const { handleRequest } = require('./pong');
+const { createRequest, serializeCookie } = require('./http');
+
+// Payload 1.0 splits the query into maps of already decoded values; the
+// multi-value ones keep repeated parameters
+function queryStringV1(event) {
+  const params = new URLSearchParams();
+  if (event.multiValueQueryStringParameters) {
+    Object.entries(event.multiValueQueryStringParameters).forEach(([name, values]) => {
+      (values || []).forEach((value) => params.append(name, value));
+    });
+  } else if (event.queryStringParameters) {
+    Object.entries(event.queryStringParameters).forEach(([name, value]) => params.append(name, value));
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+function requestFromEvent(event) {
+  const body = event.body
+    ? (event.isBase64Encoded ? Buffer.from(event.body, 'base64') : event.body)
+    : null;
+
+  if (event.version === '2.0') {
+    // Payload 2.0 moves the Cookie header into its own list
+    const headers = { ...event.headers };
+    if (event.cookies && event.cookies.length > 0) {
+      headers.cookie = event.cookies.join('; ');
+    }
+    return createRequest({
+      method: event.requestContext.http.method,
+      url: event.rawPath + (event.rawQueryString ? `?${event.rawQueryString}` : ''),
+      headers,
+      body,
+      clientIp: event.requestContext.http.sourceIp,
+      requestId: event.requestContext.requestId
+    });
+  }
+
+  return createRequest({
+    method: event.httpMethod || 'GET',
+    url: (event.path || '/') + queryStringV1(event),
+    // multiValueHeaders holds every header, repeated ones included
+    headers: event.multiValueHeaders || event.headers || {},
+    body,
+    clientIp: event.requestContext?.identity?.sourceIp,
+    requestId: event.requestContext?.requestId
+  });
+}
 
 exports.handler = async (event) => {
-  const method = event.httpMethod || event.requestContext?.http?.method || 'GET';
-  const path = event.path || event.rawPath || '/';
-  const queryString = event.queryStringParameters 
-    ? '?' + new URLSearchParams(event.queryStringParameters).toString()
-    : '';
-  const url = `https://${event.headers?.host || 'localhost'}${path}${queryString}`;
-  
-  const body = event.body ? (event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString() : event.body) : null;
-
-  const response = await handleRequest(method, url, body);
-
-  return {
+  const response = await handleRequest(requestFromEvent(event));
+  const cookies = (response.cookies || []).map(serializeCookie);
+
+  const result = {
     statusCode: response.statusCode,
     headers: response.headers,
     body: response.body
   };
+
+  // API Gateway only carries text, so binary bodies (the compressed client) go base64
+  if (Buffer.isBuffer(response.body)) {
+    result.body = response.body.toString('base64');
+    result.isBase64Encoded = true;
+  }
+
+  // Payload 2.0 takes cookies as a list; 1.0 needs a multi-value header, since
+  // a header map can only hold one Set-Cookie
+  if (cookies.length > 0) {
+    if (event.version === '2.0') {
+      result.cookies = cookies;
+    } else {
+      result.multiValueHeaders = { 'Set-Cookie': cookies };
+    }
+  }
+
+  return result;
 };
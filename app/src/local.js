@@ -1,46 +1,123 @@
 // Standalone Express server for local development and testing
+const crypto = require('crypto');
 const express = require('express');
-const { handleRequest } = require('./pong');
+const { handleRequest, getSessionState, subscribeSession } = require('./pong');
+const { createRequest, serializeCookie, InvalidUrlError } = require('./http');
+const { createLogger } = require('./logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const log = createLogger({ adapter: 'express' });
 
-console.log('[LOCAL] Starting application...');
-console.log('[LOCAL] Environment variables:');
-console.log('[LOCAL]   PORT:', PORT);
-console.log('[LOCAL]   CONNECTION_REDIS_URL:', process.env.CONNECTION_REDIS_URL || 'not set');
-console.log('[LOCAL]   NODE_ENV:', process.env.NODE_ENV || 'not set');
+// The Redis URL can carry a password, so only whether it is set is logged
+log.info('Starting application', {
+  port: PORT,
+  sessionStore: process.env.SESSION_STORE || 'redis',
+  redisUrl: process.env.CONNECTION_REDIS_URL ? 'set' : 'not set',
+  nodeEnv: process.env.NODE_ENV || 'not set'
+});
 
-app.use(express.json());
-app.use(express.text());
+// Behind a proxy or ingress, set TRUST_PROXY so req.ip (used for the per-IP rate
+// limits) is the caller's address from X-Forwarded-For rather than the proxy's:
+// the number of proxy hops, or their addresses as Express accepts them
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
 
-app.all('*', async (req, res) => {
-  const method = req.method;
-  const url = `http://${req.headers.host}${req.url}`;
-  const body = req.body;
+// Keep bodies as raw text - handleRequest parses them and rejects malformed JSON
+app.use(express.text({ type: '*/*' }));
+
+// Server-Sent Events push channel: GET ?action=events&sessionId=...
+// Sends the session state now and after every change. Lambda and Azure Functions
+// can't hold a response open, so there the client polls `state` instead.
+const KEEP_ALIVE_INTERVAL = 15000;
+
+app.get('*', async (req, res, next) => {
+  if (req.query.action !== 'events') {
+    next();
+    return;
+  }
+
+  const sessionId = req.query.sessionId;
+  const eventsLog = log.child({ requestId: crypto.randomUUID(), sessionId });
+  eventsLog.info('Event stream opened');
+
+  try {
+    const state = typeof sessionId === 'string' ? await getSessionState(sessionId) : null;
+    if (!state) {
+      res.status(404).json({ success: false, error: 'Session not found' });
+      return;
+    }
 
-  console.log(`[REQUEST] ${method} ${req.url} - Headers:`, JSON.stringify(req.headers));
-  console.log(`[REQUEST] Body:`, typeof body === 'object' ? JSON.stringify(body) : body);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    const send = (sessionState) => res.write(`data: ${JSON.stringify(sessionState)}\n\n`);
+    send(state);
+
+    let closed = false;
+    let unsubscribe = null;
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+    req.on('close', () => {
+      closed = true;
+      clearInterval(keepAlive);
+      if (unsubscribe) {
+        unsubscribe().catch((error) => eventsLog.error('Unsubscribe failed', { error }));
+      }
+    });
+
+    unsubscribe = await subscribeSession(sessionId, send);
+    // The client may have gone away while we were subscribing
+    if (closed) {
+      await unsubscribe();
+    }
+  } catch (error) {
+    eventsLog.error('Event stream failed', { error });
+    if (!res.headersSent) {
+      // Redis outages say when to come back (see redis.js)
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      res.status(503).json({ success: false, error: 'Session events unavailable' });
+    } else {
+      res.end();
+    }
+  }
+});
 
+app.all('*', async (req, res) => {
+  // handleRequest logs the request, under the caller's X-Request-Id if it sent one
   try {
-    const response = await handleRequest(method, url, body);
-    
-    console.log(`[RESPONSE] Status: ${response.statusCode}`);
-    console.log(`[RESPONSE] Headers:`, JSON.stringify(response.headers));
+    // express.text leaves an empty object when there is no body
+    const response = await handleRequest(createRequest({
+      method: req.method,
+      url: req.originalUrl,
+      headers: req.headers,
+      body: typeof req.body === 'string' ? req.body : null,
+      clientIp: req.ip
+    }));
 
     res.status(response.statusCode);
     Object.entries(response.headers).forEach(([key, value]) => {
       res.setHeader(key, value);
     });
+    if (response.cookies && response.cookies.length > 0) {
+      res.setHeader('Set-Cookie', response.cookies.map(serializeCookie));
+    }
     res.send(response.body);
   } catch (error) {
-    console.error('[ERROR] Request handling failed:', error);
+    if (error instanceof InvalidUrlError) {
+      res.status(400).json({ success: false, error: 'Invalid request URL' });
+      return;
+    }
+    log.error('Request handling failed', { method: req.method, path: req.path, error });
     res.status(500).send('Internal Server Error');
   }
 });
 
 app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🎮 Serverless Pong running at http://localhost:${PORT}`);
-  console.log(`Open http://localhost:${PORT} to play!`);
-  console.log('[LOCAL] Server is listening and ready to accept connections');
+  log.info('Serverless Pong running - open the URL to play', { url: `http://localhost:${PORT}` });
 });
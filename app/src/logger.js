@@ -0,0 +1,91 @@
+// Structured logger: one JSON object per line on stdout (errors on stderr), so
+// CloudWatch, Azure Monitor and kubectl logs can all filter on the fields.
+//
+//   LOG_LEVEL - debug, info (default), warn, error or silent
+//
+// Entries written while a request is being handled carry its requestId, which
+// the adapters pass into handleRequest (see withRequestContext).
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const REDACTED = '[REDACTED]';
+
+// Headers that carry credentials. Header names are compared lower-cased.
+const SENSITIVE_HEADERS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-functions-key',
+  'x-amz-security-token',
+  'x-ms-client-principal'
+]);
+
+const requestContext = new AsyncLocalStorage();
+
+function configuredLevel() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+}
+
+const minLevel = configuredLevel();
+
+// Errors don't survive JSON.stringify, so they are flattened first
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, fields, message, extra) {
+  if (LEVELS[level] < minLevel) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  Object.assign(entry, requestContext.getStore(), fields);
+  Object.entries(extra || {}).forEach(([key, value]) => {
+    entry[key] = serialize(value);
+  });
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line + '\n');
+  } else {
+    process.stdout.write(line + '\n');
+  }
+}
+
+// log.info('message', { any: 'fields' }); child() adds fixed fields such as a component name
+function createLogger(fields = {}) {
+  return {
+    debug: (message, extra) => write('debug', fields, message, extra),
+    info: (message, extra) => write('info', fields, message, extra),
+    warn: (message, extra) => write('warn', fields, message, extra),
+    error: (message, extra) => write('error', fields, message, extra),
+    child: (childFields) => createLogger(Object.assign({}, fields, childFields))
+  };
+}
+
+// Run fn with context fields (the requestId) attached to everything it logs
+function withRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+// Run fn outside any request, for long-lived connections whose later events
+// would otherwise be logged under the request that happened to open them
+function withoutRequestContext(fn) {
+  return requestContext.exit(fn);
+}
+
+// Copy of headers that is safe to log
+function redactHeaders(headers) {
+  const redacted = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    redacted[name] = SENSITIVE_HEADERS.has(name.toLowerCase()) ? REDACTED : value;
+  });
+  return redacted;
+}
+
+module.exports = { createLogger, withRequestContext, withoutRequestContext, redactHeaders };
@@ -0,0 +1,107 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format served at /metrics.
+//
+// Values live in this process. Behind Lambda or Azure Functions each instance
+// keeps its own, so there they describe that instance only.
+
+const { createLogger } = require('./logger');
+
+const log = createLogger();
+const metrics = [];
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, key, extra = '') {
+  const values = JSON.parse(key);
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function register(metric) {
+  metrics.push(metric);
+  return metric;
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    inc(labels, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      if (labelNames.length === 0 && values.size === 0) {
+        lines.push(`${name} 0`);
+      }
+      values.forEach((value, key) => lines.push(`${name}${formatLabels(labelNames, key)} ${value}`));
+      return lines;
+    }
+  });
+}
+
+// A gauge is read at scrape time by calling collect()
+function gauge(name, help, collect) {
+  return register({
+    name,
+    async render() {
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${await collect()}`];
+    }
+  });
+}
+
+function histogram(name, help, labelNames = [], buckets) {
+  const series = new Map();
+  return register({
+    name,
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach((entry, key) => {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, key, `le="${bound}"`)} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, key, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, key)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, key)} ${entry.count}`);
+      });
+      return lines;
+    }
+  });
+}
+
+// Every registered metric in the Prometheus text format. A gauge that fails to
+// collect is left out rather than failing the whole scrape.
+async function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics) {
+    try {
+      lines.push(...await metric.render());
+    } catch (error) {
+      log.warn('Failed to collect metric', { metric: metric.name, error: error.message });
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { counter, gauge, histogram, renderMetrics };
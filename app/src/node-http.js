@@ -0,0 +1,83 @@
+// Standalone server on Node's own http module, for hosts where Express isn't
+// wanted. It has no Server-Sent Events channel; the client polls instead.
+const http = require('http');
+const { handleRequest } = require('./pong');
+const { createRequest, serializeCookie, InvalidUrlError } = require('./http');
+const { createLogger } = require('./logger');
+
+const PORT = process.env.PORT || 3000;
+const log = createLogger({ adapter: 'node-http' });
+
+// Same limit Express applies to request bodies
+const MAX_BODY_SIZE = 100 * 1024;
+
+class BodyTooLargeError extends Error {
+  constructor() {
+    super(`Request body exceeds ${MAX_BODY_SIZE} bytes`);
+    this.name = 'BodyTooLargeError';
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        // Stop buffering; the 413 closes the connection on the rest
+        reject(new BodyTooLargeError());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(chunks.length > 0 ? Buffer.concat(chunks) : null));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const body = await readBody(req);
+    // req.headers joins repeated headers already; Cookie headers with "; "
+    const response = await handleRequest(createRequest({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      body,
+      clientIp: req.socket.remoteAddress
+    }));
+
+    const headers = { ...response.headers };
+    if (response.cookies && response.cookies.length > 0) {
+      headers['Set-Cookie'] = response.cookies.map(serializeCookie);
+    }
+    res.writeHead(response.statusCode, headers);
+    res.end(response.body);
+  } catch (error) {
+    if (error instanceof BodyTooLargeError) {
+      res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+      return;
+    }
+    if (error instanceof InvalidUrlError) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Invalid request URL' }));
+      return;
+    }
+    log.error('Request handling failed', { method: req.method, url: req.url, error });
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+    }
+    res.end('Internal Server Error');
+  }
+});
+
+log.info('Starting application', {
+  port: PORT,
+  sessionStore: process.env.SESSION_STORE || 'redis'
+});
+
+server.listen(PORT, '0.0.0.0', () => {
+  log.info('Serverless Pong running - open the URL to play', { url: `http://localhost:${PORT}` });
+});
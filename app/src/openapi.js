@@ -0,0 +1,135 @@
+// OpenAPI 3 description of the REST routes, generated from the route table
+// (routes.js) and the action schemas, so it can't drift from what is validated.
+
+const { ROUTES } = require('./routes');
+
+const ERROR_RESPONSES = {
+  400: 'Invalid request',
+  401: 'Seat token missing',
+  403: 'Seat token does not match',
+  404: 'Session not found',
+  409: 'Conflicts with the state of the game',
+  429: 'Rate limited; see Retry-After',
+  503: 'Session store unavailable; see Retry-After',
+  504: 'Session store did not confirm the change in time; it may still be applied'
+};
+
+// A validate.js rule as JSON Schema
+function jsonSchema(rule) {
+  const schema = { type: rule.type };
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.clamp) schema.description = 'Out-of-range values are clamped';
+  if (rule.type === 'object') {
+    Object.assign(schema, objectSchema(rule.properties || {}));
+  }
+  return schema;
+}
+
+function objectSchema(fields) {
+  const schema = { type: 'object', properties: {}, additionalProperties: false };
+  const required = [];
+  Object.entries(fields).forEach(([field, rule]) => {
+    schema.properties[field] = jsonSchema(rule);
+    if (rule.required) required.push(field);
+  });
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+function operation(route, schema) {
+  const fields = { ...schema };
+  const parameters = route.params.map((name) => {
+    delete fields[name];
+    return { name, in: 'path', required: true, schema: jsonSchema(schema[name]) };
+  });
+
+  // The seat token is sent as a bearer token, which is the only way on a GET
+  const security = fields.token ? [{ seatToken: [] }, {}] : undefined;
+  if (route.method === 'GET') {
+    delete fields.token;
+  }
+
+  const op = {
+    operationId: route.action,
+    summary: route.summary,
+    parameters,
+    responses: {
+      200: {
+        description: 'Success',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } }
+      }
+    }
+  };
+
+  if (route.method === 'GET') {
+    Object.entries(fields).forEach(([name, rule]) => {
+      parameters.push({ name, in: 'query', required: Boolean(rule.required), schema: jsonSchema(rule) });
+    });
+  } else if (Object.keys(fields).length > 0) {
+    const body = objectSchema(fields);
+    op.requestBody = {
+      required: Boolean(body.required),
+      content: { 'application/json': { schema: body } }
+    };
+  }
+  if (security) op.security = security;
+
+  Object.entries(ERROR_RESPONSES).forEach(([status, description]) => {
+    op.responses[status] = {
+      description,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  });
+  return op;
+}
+
+function openApiDocument(actionSchemas) {
+  const paths = {};
+  ROUTES.forEach((route) => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = operation(route, actionSchemas[route.action]);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Serverless Pong',
+      version: '1.0.0',
+      description: 'Every operation is also available as `POST ?action=<operationId>` with the same fields in a JSON body.'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        seatToken: { type: 'http', scheme: 'bearer', description: 'The seat token returned by create, join or queue' }
+      },
+      schemas: {
+        Success: {
+          type: 'object',
+          properties: { success: { type: 'boolean', enum: [true] } },
+          required: ['success']
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' } }
+              }
+            }
+          },
+          required: ['success', 'error']
+        }
+      }
+    }
+  };
+}
+
+module.exports = { openApiDocument };
@@ -1,237 +1,1116 @@
 // Standalone game handler - works with Azure Functions, AWS Lambda, or any HTTP server
 
-const redis = require('redis');
+const crypto = require('crypto');
+const { createSessionStore, SessionConflictError } = require('./store');
+const { getStoreClient, runRedisCommand, RedisUnavailableError, RedisWriteTimeoutError } = require('./redis');
+const { validate } = require('./validate');
+const {
+  FULL_WIDTH,
+  CANVAS_HEIGHT,
+  PADDLE_WIDTH,
+  BALL_SIZE,
+  MAX_BALL_SPEED,
+  UPDATE_INTERVAL,
+  DEFAULT_RULES,
+  HEARTBEAT_INTERVAL,
+  PAUSES_PER_GAME
+} = require('./constants');
+const { serveClient } = require('./assets');
+const { matchRoute, routePayload } = require('./routes');
+const { openApiDocument } = require('./openapi');
+const { createLogger, withRequestContext, redactHeaders } = require('./logger');
+const metrics = require('./metrics');
 
-// Redis client setup
-let redisClient = null;
-let isRedisConnected = false;
-let redisUnavailable = false;
-let redisUnavailableMessage = null;
+const log = createLogger();
 
-class RedisUnavailableError extends Error {
-  constructor(message) {
-    super(message || 'Redis connection unavailable');
-    this.name = 'RedisUnavailableError';
+const requestsTotal = metrics.counter('pong_requests_total', 'Requests handled, by action and status code', ['action', 'status']);
+const requestDuration = metrics.histogram(
+  'pong_request_duration_seconds',
+  'Time taken to handle a request, by action',
+  ['action'],
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+);
+const gamesCompletedTotal = metrics.counter('pong_games_completed_total', 'Games played to a winner, by opponent type', ['opponent']);
+
+// Sent while Redis is down, or the circuit breaker in redis.js is keeping requests off it
+function redisUnavailableResponse(error) {
+  return {
+    statusCode: 503,
+    headers: { 'Content-Type': 'application/json', 'Retry-After': String(error.retryAfter) },
+    body: JSON.stringify({ success: false, error: 'Redis connection unavailable', detail: error.message })
+  };
+}
+
+// Session TTL: 5 minutes (300 seconds)
+const SESSION_TTL = 300;
+
+// Game constants shared with the client live in constants.js
+const COUNTDOWN_SECONDS = 3;
+
+// Presence (ms). Players' update/state requests are heartbeats, sent at least every
+// HEARTBEAT_INTERVAL. A player not heard from for DISCONNECT_TIMEOUT is marked
+// disconnected and a game in progress pauses; one still gone after
+// FORFEIT_TIMEOUT forfeits it.
+const DISCONNECT_TIMEOUT = 5000;
+const FORFEIT_TIMEOUT = 30000;
+
+// The ball moves in fixed steps of UPDATE_INTERVAL ms. A session nobody polled
+// for a while only catches up this many steps so a stale game can't stall a request.
+const MAX_CATCHUP_STEPS = 200;
+
+// Longest a long-poll `state` call may hold (ms). Keep it below the function
+// timeout of the platform you deploy to - AWS Lambda defaults to 3 seconds.
+const LONG_POLL_MAX_WAIT = parseInt(process.env.LONG_POLL_MAX_WAIT_MS || '2000', 10);
+
+// Matchmaking: a queued player who hasn't polled for QUEUE_TIMEOUT ms is dropped;
+// a match not picked up within QUEUE_MATCH_TTL seconds is forgotten
+const QUEUE_TIMEOUT = 10000;
+const QUEUE_MATCH_TTL = 60;
+
+// Server-side opponent presets. The bot re-aims every reactionMs at the ball's
+// height, off by up to `error` px, and moves its paddle at most `speed` px per step.
+const BOT_DIFFICULTIES = {
+  easy: { reactionMs: 400, error: 60, speed: 6 },
+  medium: { reactionMs: 200, error: 30, speed: 10 },
+  hard: { reactionMs: 100, error: 10, speed: 16 }
+};
+
+// Names used on the leaderboard when a player doesn't give one
+const DEFAULT_NAMES = { 1: 'Player 1', 2: 'Player 2' };
+const DEFAULT_PAGE_SIZE = 10;
+
+// Replay recording: paddle updates are kept as frames at most every
+// REPLAY_FRAME_INTERVAL ms per session, rather than all 40 a second; countdown
+// steps, resets and the final point always are. A replay is read at most
+// REPLAY_PAGE_SIZE frames at a time; store.js keeps MAX_REPLAY_FRAMES of them.
+const REPLAY_FRAME_INTERVAL = 100;
+const REPLAY_PAGE_SIZE = 1000;
+
+// Session storage backend, selected by SESSION_STORE ('redis' or 'memory')
+const sessionStore = createSessionStore({ getClient: getStoreClient, ttl: SESSION_TTL, run: runRedisCommand });
+
+metrics.gauge('pong_active_sessions', 'Sessions in the session store', () => sessionStore.countSessions());
+
+// Helper functions for session management
+async function getSession(sessionId) {
+  return sessionStore.get(sessionId);
+}
+
+async function setSession(sessionId, sessionData) {
+  sessionData.lastUpdate = Date.now();
+  await sessionStore.set(sessionId, sessionData);
+}
+
+// Atomic read-modify-write. `mutate` may run more than once when the other
+// player's request got in first, so it must only touch the session it is given
+// and must be synchronous; it returns false to skip the write. Resolves to the
+// resulting session, or null if it doesn't exist.
+//
+// Only one write can take `winner` from unset to set, and that caller records
+// the finished match.
+//
+// Writes that reset the game, move the countdown along or end the game are
+// recorded as replay frames; callers pass `frameKind` to record their other
+// writes too, at most every REPLAY_FRAME_INTERVAL.
+async function updateSession(sessionId, mutate, { frameKind = null } = {}) {
+  let finished = false;
+  let kind = null;
+  const session = await sessionStore.update(sessionId, (sessionData) => {
+    const hadWinner = Boolean(sessionData.winner);
+    const phaseBefore = countdownPhase(sessionData);
+    const runBefore = sessionData.run;
+    if (mutate(sessionData) === false) {
+      finished = false;
+      kind = null;
+      return false;
+    }
+    finished = !hadWinner && Boolean(sessionData.winner);
+    sessionData.lastUpdate = Date.now();
+    if (sessionData.run !== runBefore) {
+      kind = 'reset';
+    } else if (countdownPhase(sessionData) !== phaseBefore) {
+      kind = 'countdown';
+    } else if (finished) {
+      kind = 'end';
+    } else {
+      const frameDue = sessionData.lastUpdate - (sessionData.lastFrameAt || 0) >= REPLAY_FRAME_INTERVAL;
+      kind = frameDue ? frameKind : null;
+    }
+    if (kind) {
+      sessionData.lastFrameAt = sessionData.lastUpdate;
+    }
+  });
+
+  if (session && kind) {
+    await recordReplayFrame(sessionId, session, kind);
   }
+  if (session && finished) {
+    gamesCompletedTotal.inc({ opponent: session.opponent ? session.opponent.type : 'human' });
+    await recordFinishedMatch(sessionId, session);
+  }
+  return session;
 }
 
-async function getRedisClient() {
-  if (redisUnavailable) {
-    throw new RedisUnavailableError(redisUnavailableMessage);
+// 'idle', 'countdown:<n>' or 'playing'
+function countdownPhase(session) {
+  if (session.countdownActive) {
+    return `countdown:${session.countdownValue}`;
   }
+  return session.gameStarted ? 'playing' : 'idle';
+}
 
-  if (!redisClient) {
-    const host = process.env.CONNECTION_REDIS_HOST || 'localhost';
-    const port = process.env.CONNECTION_REDIS_PORT || '6379';
-    const username = process.env.CONNECTION_REDIS_USERNAME || undefined;
-    const password = process.env.CONNECTION_REDIS_PASSWORD || undefined;
-    const useTls = process.env.CONNECTION_REDIS_TLS === 'true';
-    
-    const config = {
-      socket: {
-        host: host,
-        port: parseInt(port, 10),
-        tls: useTls,
-        connectTimeout: 1500
-      }
+// Session fields captured in every replay frame
+const REPLAY_FIELDS = [
+  'run', 'countdownActive', 'countdownValue', 'gameStarted',
+  'ballX', 'ballY', 'p1Y', 'p2Y', 'p1Score', 'p2Score', 'winner'
+];
+
+// Append a timestamped snapshot to the session's replay. Like the match history,
+// a failure is logged but doesn't fail the request.
+async function recordReplayFrame(sessionId, session, kind) {
+  const frame = { t: session.lastUpdate, kind, paddleHeight: rulesOf(session).paddleHeight };
+  REPLAY_FIELDS.forEach((field) => {
+    frame[field] = session[field];
+  });
+
+  try {
+    await sessionStore.appendFrame(sessionId, frame);
+  } catch (error) {
+    log.error('Failed to record replay frame', { sessionId, error });
+  }
+}
+
+// Add a finished game to the match history and credit the winner on the leaderboard,
+// unless they went by a default name or were the bot. A failure here is logged but
+// doesn't fail the request that ended the game.
+async function recordFinishedMatch(sessionId, session) {
+  const match = {
+    sessionId,
+    p1Name: session.p1Name,
+    p2Name: session.p2Name,
+    p1Score: session.p1Score,
+    p2Score: session.p2Score,
+    winner: session.winner,
+    winnerName: session.winner === 1 ? session.p1Name : session.p2Name,
+    durationMs: session.startedAt ? session.lastUpdate - session.startedAt : null,
+    endedAt: session.lastUpdate
+  };
+  const botWon = session.winner === 2 && session.opponent && session.opponent.type === 'bot';
+  const ranked = !botWon && match.winnerName !== DEFAULT_NAMES[session.winner];
+
+  try {
+    await sessionStore.recordMatch(match, ranked);
+    log.info('Match recorded', { sessionId, winner: match.winnerName, score: `${match.p1Score}-${match.p2Score}` });
+  } catch (error) {
+    log.error('Failed to record match', { sessionId, error });
+  }
+}
+
+async function deleteSession(sessionId) {
+  await sessionStore.delete(sessionId);
+}
+
+function generateSessionId() {
+  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+}
+
+// Seat tokens - the client keeps the token, the session only keeps its hash
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function tokenMatches(token, tokenHash) {
+  if (typeof token !== 'string' || typeof tokenHash !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(tokenHash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Returns an error response unless body.token belongs to the seat in body.player
+function authorizePlayer(session, body) {
+  if (!body.token) {
+    return {
+      statusCode: 401,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: false, error: 'Player token required' })
     };
-    
-    // Add authentication if provided
-    if (username) {
-      config.username = username;
+  }
+
+  const tokenHash = body.player === 1 ? session.p1TokenHash : body.player === 2 ? session.p2TokenHash : null;
+  if (!tokenMatches(body.token, tokenHash)) {
+    return {
+      statusCode: 403,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: false, error: 'Invalid player token' })
+    };
+  }
+
+  return null;
+}
+
+// Session data as sent to clients - token hashes and bookkeeping never leave the server
+function publicState(session) {
+  const { p1TokenHash, p2TokenHash, fieldVersions, botState, p1LastSeen, p2LastSeen, lastFrameAt, ...state } = session;
+  return state;
+}
+
+// The public fields that changed after `sinceVersion`
+function stateDelta(session, sinceVersion) {
+  const fieldVersions = session.fieldVersions || {};
+  const delta = {};
+  for (const [field, value] of Object.entries(publicState(session))) {
+    // Fields without a recorded version are always sent
+    if (!(fieldVersions[field] <= sinceVersion)) {
+      delta[field] = value;
     }
-    if (password) {
-      config.password = password;
+  }
+  return delta;
+}
+
+// Sessions created before rules existed play by the defaults
+function rulesOf(session) {
+  return session.rules || DEFAULT_RULES;
+}
+
+function clampPaddle(session, paddleY) {
+  const halfPaddle = rulesOf(session).paddleHeight / 2;
+  return Math.max(halfPaddle, Math.min(CANVAS_HEIGHT - halfPaddle, paddleY));
+}
+
+// Every paddle move - from a player's update or from the bot - goes through here
+function setPaddle(session, player, paddleY) {
+  session[`p${player}Y`] = clampPaddle(session, paddleY);
+}
+
+function isBotGame(session) {
+  return Boolean(session.opponent && session.opponent.type === 'bot');
+}
+
+// One step of the bot driving player 2's paddle
+function moveBot(session, stepTime) {
+  const bot = session.opponent;
+  const botState = session.botState;
+
+  if (stepTime >= botState.nextThinkAt) {
+    // Chase the ball while it comes our way, otherwise drift back to the middle
+    botState.targetY = session.ballVelX > 0
+      ? session.ballY + (Math.random() * 2 - 1) * bot.error
+      : CANVAS_HEIGHT / 2;
+    botState.nextThinkAt = stepTime + bot.reactionMs;
+  }
+
+  const move = Math.max(-bot.speed, Math.min(bot.speed, botState.targetY - session.p2Y));
+  setPaddle(session, 2, session.p2Y + move);
+}
+
+// Put a session back to the start of a game: ball served from the centre at the
+// starting speed, scores cleared. Used by `create` and `reset`. Each game in a
+// session is a new run (1, 2, ...), which marks its frames in the replay.
+function resetGame(session) {
+  const { ballSpeed } = rulesOf(session);
+  session.run = (session.run || 0) + 1;
+  session.ballX = FULL_WIDTH / 2;
+  session.ballY = CANVAS_HEIGHT / 2;
+  session.ballVelX = ballSpeed;
+  session.ballVelY = ballSpeed * 0.75;
+  session.ballSpeedMultiplier = 1.0;
+  session.p1Score = 0;
+  session.p2Score = 0;
+  session.gameStarted = false;
+  session.winner = null;
+  session.startedAt = null;
+  session.physicsTime = null;
+  session.paused = false;
+  session.pausedAt = null;
+  session.pauseReason = null;
+  session.pausedBy = null;
+  session.forfeitedBy = null;
+  session.p1Pauses = 0;
+  session.p2Pauses = 0;
+}
+
+// Counting down, playing or paused, and not yet won
+function gameInProgress(session) {
+  return !session.winner && (session.gameStarted || session.countdownActive || session.paused);
+}
+
+function startCountdown(session, now) {
+  session.countdownActive = true;
+  session.countdownValue = COUNTDOWN_SECONDS;
+  session.countdownStartTime = now;
+}
+
+// Freeze a game where it is. The countdown is abandoned; resumeGame() runs a
+// fresh one before play carries on.
+function pauseGame(session, now, reason) {
+  session.paused = true;
+  session.pausedAt = now;
+  session.pauseReason = reason;
+  session.countdownActive = false;
+  session.countdownValue = 0;
+  session.countdownStartTime = null;
+}
+
+function resumeGame(session, now) {
+  session.paused = false;
+  session.pauseReason = null;
+  session.pausedBy = null;
+  startCountdown(session, now);
+}
+
+function forfeitGame(session, player) {
+  session.winner = player === 1 ? 2 : 1;
+  session.forfeitedBy = player;
+  session.paused = false;
+  session.pauseReason = null;
+  session.pausedBy = null;
+}
+
+// A heartbeat from a seated player
+function markSeen(session, player, now) {
+  session[`p${player}LastSeen`] = now;
+  session[`p${player}Connected`] = true;
+}
+
+// Seats that have sent a heartbeat and then gone quiet. Seats never heard from
+// (an open seat, the bot) don't count.
+function absentPlayers(session) {
+  return [1, 2].filter((player) => session[`p${player}LastSeen`] && !session[`p${player}Connected`]);
+}
+
+// Mark quiet players disconnected, pause a game in progress while anyone is
+// missing, resume it when they are all back and hand it to the remaining player
+// once the absent one runs out of grace. Returns true if anything changed.
+function updatePresence(session, now) {
+  let changed = false;
+
+  for (const player of [1, 2]) {
+    const lastSeen = session[`p${player}LastSeen`];
+    if (lastSeen && session[`p${player}Connected`] && now - lastSeen >= DISCONNECT_TIMEOUT) {
+      session[`p${player}Connected`] = false;
+      changed = true;
     }
-    
-    redisClient = redis.createClient(config);
-    
-    redisClient.on('error', (err) => {
-      console.error('Redis Client Error', err);
-      isRedisConnected = false;
-      redisUnavailable = true;
-      redisUnavailableMessage = err?.message || 'Unknown Redis error';
-    });
-    
-    redisClient.on('connect', () => {
-      console.log('Redis connected');
-      isRedisConnected = true;
-      redisUnavailable = false;
-      redisUnavailableMessage = null;
-    });
-    
-    try {
-      await redisClient.connect();
-    } catch (err) {
-      console.error('Redis connection failed', err);
-      redisUnavailable = true;
-      redisUnavailableMessage = err?.message || 'Unable to connect to Redis';
-      redisClient = null;
-      throw new RedisUnavailableError(redisUnavailableMessage);
+  }
+
+  const absent = absentPlayers(session);
+
+  if (!session.paused && gameInProgress(session) && absent.length > 0) {
+    pauseGame(session, now, 'disconnect');
+    changed = true;
+  } else if (session.paused && session.pauseReason === 'disconnect') {
+    if (absent.length === 0) {
+      resumeGame(session, now);
+      changed = true;
+    } else if (absent.length === 1 && now - session[`p${absent[0]}LastSeen`] >= FORFEIT_TIMEOUT) {
+      forfeitGame(session, absent[0]);
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+// Server-side ball physics. Velocities are in pixels per step.
+function resetBall(session) {
+  const { ballSpeed } = rulesOf(session);
+  session.ballX = FULL_WIDTH / 2;
+  session.ballY = CANVAS_HEIGHT / 2;
+  session.ballVelX = (Math.random() > 0.5 ? 1 : -1) * ballSpeed * session.ballSpeedMultiplier;
+  session.ballVelY = (Math.random() - 0.5) * ballSpeed * 1.5 * session.ballSpeedMultiplier;
+}
+
+// Speed the ball up after a point, no faster than MAX_BALL_SPEED
+function speedUpBall(session) {
+  const { ballSpeed, speedUp } = rulesOf(session);
+  session.ballSpeedMultiplier = Math.min(session.ballSpeedMultiplier * speedUp, Math.max(1, MAX_BALL_SPEED / ballSpeed));
+}
+
+// Bounce the ball off a paddle if it crossed the paddle's face during this step
+// and the paddle was there where it crossed. `face` is the x the ball's centre is
+// at when touching the paddle; `direction` is which way the ball leaves it (1 or
+// -1). Checking where it crossed, not where it ended up, means a fast ball can't
+// pass through the paddle between two steps.
+function bounceOffPaddle(session, paddleY, face, direction, fromX, fromY, paddleHeight) {
+  const crossed = direction > 0
+    ? fromX >= face && session.ballX <= face
+    : fromX <= face && session.ballX >= face;
+  if (!crossed || session.ballVelX * direction > 0) {
+    return false;
+  }
+  const travelled = (fromX - face) / (fromX - session.ballX || 1);
+  const crossingY = fromY + (session.ballY - fromY) * travelled;
+  if (crossingY < paddleY - paddleHeight / 2 || crossingY > paddleY + paddleHeight / 2) {
+    return false;
+  }
+  // Carry on from the face for the rest of the step
+  session.ballX = face + (face - session.ballX);
+  session.ballVelX = direction * Math.abs(session.ballVelX);
+  const hitPos = (crossingY - paddleY) / (paddleHeight / 2);
+  session.ballVelY += hitPos * 2;
+  return true;
+}
+
+function stepBall(session, stepTime) {
+  const { paddleHeight, pointsToWin, timeLimit } = rulesOf(session);
+  const fromX = session.ballX;
+  const fromY = session.ballY;
+
+  session.ballX += session.ballVelX;
+  session.ballY += session.ballVelY;
+
+  if (session.ballY - BALL_SIZE / 2 <= 0 || session.ballY + BALL_SIZE / 2 >= CANVAS_HEIGHT) {
+    session.ballVelY = -session.ballVelY;
+  }
+
+  const returned =
+    bounceOffPaddle(session, session.p1Y, PADDLE_WIDTH + BALL_SIZE / 2, 1, fromX, fromY, paddleHeight) ||
+    bounceOffPaddle(session, session.p2Y, FULL_WIDTH - PADDLE_WIDTH - BALL_SIZE / 2, -1, fromX, fromY, paddleHeight);
+
+  // A ball a paddle returned this step is in play, wherever it ended up
+  if (!returned && session.ballX < 0) {
+    session.p2Score++;
+    speedUpBall(session);
+    resetBall(session);
+  } else if (!returned && session.ballX > FULL_WIDTH) {
+    session.p1Score++;
+    speedUpBall(session);
+    resetBall(session);
+  }
+
+  const timeUp = timeLimit && stepTime - session.startedAt >= timeLimit * 1000;
+  if (session.p1Score >= pointsToWin || (timeUp && session.p1Score > session.p2Score)) {
+    session.winner = 1;
+  } else if (session.p2Score >= pointsToWin || (timeUp && session.p2Score > session.p1Score)) {
+    session.winner = 2;
+  }
+}
+
+// Bring a session up to `now`: finish the countdown, run the ball for the steps
+// that elapsed since the last call and check who is still there. Returns true
+// if anything changed.
+function advanceSession(session, now) {
+  let changed = false;
+
+  if (session.countdownActive && session.countdownStartTime) {
+    const secondsElapsed = Math.floor((now - session.countdownStartTime) / 1000);
+    const newCountdownValue = Math.max(0, COUNTDOWN_SECONDS - secondsElapsed);
+
+    if (newCountdownValue !== session.countdownValue) {
+      session.countdownValue = newCountdownValue;
+      changed = true;
+    }
+
+    if (newCountdownValue === 0) {
+      session.countdownActive = false;
+      session.countdownStartTime = null;
+      session.gameStarted = true;
+      // After a pause the clock carries on from where it stopped
+      session.startedAt = session.startedAt && session.pausedAt
+        ? session.startedAt + (now - session.pausedAt)
+        : now;
+      session.pausedAt = null;
+      session.physicsTime = now;
+      changed = true;
+    }
+  }
+
+  if (session.gameStarted && !session.winner && !session.paused && !session.countdownActive) {
+    const steps = Math.floor((now - session.physicsTime) / UPDATE_INTERVAL);
+    if (steps > 0) {
+      for (let i = 0; i < Math.min(steps, MAX_CATCHUP_STEPS) && !session.winner; i++) {
+        const stepTime = session.physicsTime + (i + 1) * UPDATE_INTERVAL;
+        if (isBotGame(session)) {
+          moveBot(session, stepTime);
+        }
+        stepBall(session, stepTime);
+      }
+      // Keep the leftover fraction of a step for the next call
+      session.physicsTime += steps * UPDATE_INTERVAL;
+      changed = true;
     }
   }
-  return redisClient;
+
+  if (updatePresence(session, now)) {
+    changed = true;
+  }
+
+  return changed;
 }
 
-function redisUnavailableResponse() {
+// When advanceSession() will next change the session on its own (ms timestamp)
+function nextTimedChange(session, now) {
+  const presenceChange = nextPresenceChange(session);
+  if (session.countdownActive && session.countdownStartTime) {
+    const secondsElapsed = Math.floor((now - session.countdownStartTime) / 1000);
+    return Math.min(presenceChange, session.countdownStartTime + (secondsElapsed + 1) * 1000);
+  }
+  if (session.gameStarted && !session.winner && !session.paused) {
+    return Math.min(presenceChange, session.physicsTime + UPDATE_INTERVAL);
+  }
+  return presenceChange;
+}
+
+// When the next connected player times out, or the next absent one forfeits
+function nextPresenceChange(session) {
+  let next = Infinity;
+  for (const player of [1, 2]) {
+    const lastSeen = session[`p${player}LastSeen`];
+    if (!lastSeen) {
+      continue;
+    }
+    if (session[`p${player}Connected`]) {
+      next = Math.min(next, lastSeen + DISCONNECT_TIMEOUT);
+    } else if (session.paused) {
+      next = Math.min(next, lastSeen + FORFEIT_TIMEOUT);
+    }
+  }
+  return next;
+}
+
+// Payload schemas for each action (see validate.js for the rule format)
+const SESSION_ID_FIELD = { type: 'string', required: true, maxLength: 64, pattern: /^[a-z0-9]+$/ };
+// Only the two seats may act - spectators (player=spectator) are refused here
+const PLAYER_FIELD = { type: 'integer', required: true, enum: [1, 2] };
+// Not required here - a missing token is answered with 401 by authorizePlayer()
+const TOKEN_FIELD = { type: 'string', maxLength: 128 };
+// Display name for history and the leaderboard
+const NAME_FIELD = { type: 'string', maxLength: 20, pattern: /^[A-Za-z0-9 _.-]+$/ };
+const RULES_FIELD = {
+  type: 'object',
+  properties: {
+    pointsToWin: { type: 'integer', min: 1, max: 21 },
+    ballSpeed: { type: 'number', min: 2, max: 30 },
+    speedUp: { type: 'number', min: 1, max: 2 },
+    paddleHeight: { type: 'integer', min: 20, max: CANVAS_HEIGHT / 2 },
+    timeLimit: { type: 'integer', min: 10, max: 3600 }
+  }
+};
+// Who plays seat 2: a person who joins (default) or the server-side bot
+const OPPONENT_FIELD = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', required: true, enum: ['human', 'bot'] },
+    difficulty: { type: 'string', enum: Object.keys(BOT_DIFFICULTIES) },
+    reactionMs: { type: 'integer', min: 0, max: 2000 },
+    error: { type: 'integer', min: 0, max: CANVAS_HEIGHT / 2 }
+  }
+};
+const PAGE_FIELDS = {
+  offset: { type: 'integer', min: 0 },
+  limit: { type: 'integer', min: 1, max: 100, clamp: true }
+};
+
+const ACTION_SCHEMAS = {
+  create: {
+    name: NAME_FIELD,
+    rules: RULES_FIELD,
+    opponent: OPPONENT_FIELD
+  },
+  join: {
+    sessionId: SESSION_ID_FIELD,
+    name: NAME_FIELD
+  },
+  start: {
+    sessionId: SESSION_ID_FIELD,
+    player: PLAYER_FIELD,
+    token: TOKEN_FIELD
+  },
+  reset: {
+    sessionId: SESSION_ID_FIELD,
+    player: PLAYER_FIELD,
+    token: TOKEN_FIELD
+  },
+  pause: {
+    sessionId: SESSION_ID_FIELD,
+    player: PLAYER_FIELD,
+    token: TOKEN_FIELD
+  },
+  resume: {
+    sessionId: SESSION_ID_FIELD,
+    player: PLAYER_FIELD,
+    token: TOKEN_FIELD
+  },
+  forfeit: {
+    sessionId: SESSION_ID_FIELD,
+    player: PLAYER_FIELD,
+    token: TOKEN_FIELD
+  },
+  update: {
+    sessionId: SESSION_ID_FIELD,
+    player: PLAYER_FIELD,
+    token: TOKEN_FIELD,
+    // Paddle centre; positions off the court are pulled back onto it, and
+    // handleUpdate() then keeps the whole paddle (its size is a session rule) on it
+    paddleY: { type: 'number', min: 0, max: CANVAS_HEIGHT, clamp: true }
+  },
+  queue: {
+    ticket: { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ },
+    name: NAME_FIELD
+  },
+  history: PAGE_FIELDS,
+  leaderboard: PAGE_FIELDS,
+  replay: {
+    sessionId: SESSION_ID_FIELD,
+    // The `next` cursor of the previous page: a stream ID, or a sequence number
+    // with the in-memory store
+    after: { type: 'string', maxLength: 64, pattern: /^\d+(-\d+)?$/ },
+    limit: { type: 'integer', min: 1, max: REPLAY_PAGE_SIZE, clamp: true }
+  },
+  state: {
+    sessionId: SESSION_ID_FIELD,
+    // Players polling state pass their seat so the poll counts as a heartbeat
+    player: { ...PLAYER_FIELD, required: false },
+    token: TOKEN_FIELD,
+    // Long poll: hold until the session version passes this, then send only the changed fields
+    sinceVersion: { type: 'integer', min: 0 },
+    waitMs: { type: 'integer', min: 0, max: LONG_POLL_MAX_WAIT, clamp: true }
+  }
+};
+
+// Token bucket budgets per action: up to `burst` requests at once, refilled at
+// `perSecond`. Each client IP has its own bucket per action. Actions on a session
+// also have one per session, or, for those a seated player makes, one per seat
+// and seat token, so callers without the token can't drain a player's budget;
+// spectators' state calls only count against their IP.
+//
+// The client sends paddle updates every UPDATE_INTERVAL (20 a second) and polls
+// state about as often, so for those two the seat budgets do the real limiting.
+// The IP budgets only stop a flood: they leave room for about 50 active players
+// behind one address (an office NAT, or every caller when a proxy hides them),
+// including the lobby's create on page load and on every rule change and the
+// queue poll every QUEUE_POLL_INTERVAL. A replay is read a page at a time, so
+// its budgets cover a full recording (MAX_REPLAY_FRAMES / REPLAY_PAGE_SIZE
+// pages, see store.js). RATE_LIMIT=off disables them.
+const RATE_LIMITS = {
+  create: { ip: { burst: 50, perSecond: 5 } },
+  join: { ip: { burst: 10, perSecond: 1 }, session: { burst: 10, perSecond: 1 } },
+  start: { ip: { burst: 10, perSecond: 1 }, seat: { burst: 10, perSecond: 1 } },
+  reset: { ip: { burst: 10, perSecond: 1 }, seat: { burst: 10, perSecond: 1 } },
+  pause: { ip: { burst: 10, perSecond: 1 }, seat: { burst: 10, perSecond: 1 } },
+  resume: { ip: { burst: 10, perSecond: 1 }, seat: { burst: 10, perSecond: 1 } },
+  forfeit: { ip: { burst: 10, perSecond: 1 }, seat: { burst: 10, perSecond: 1 } },
+  update: { ip: { burst: 1500, perSecond: 1000 }, seat: { burst: 40, perSecond: 30 } },
+  state: { ip: { burst: 1500, perSecond: 1000 }, seat: { burst: 60, perSecond: 40 } },
+  queue: { ip: { burst: 100, perSecond: 50 } },
+  history: { ip: { burst: 20, perSecond: 5 } },
+  leaderboard: { ip: { burst: 20, perSecond: 5 } },
+  replay: { ip: { burst: 30, perSecond: 2 }, session: { burst: 30, perSecond: 5 } }
+};
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT !== 'off';
+
+// Take a token from each of the request's buckets. Resolves to a 429 response
+// if one is empty, otherwise null.
+async function checkRateLimit(action, clientIp, body) {
+  const limits = RATE_LIMITS[action];
+  if (!RATE_LIMIT_ENABLED || !limits) {
+    return null;
+  }
+
+  const { sessionId } = body;
+  const buckets = [];
+  if (limits.ip && clientIp) {
+    buckets.push({ scope: 'ip', key: `${action}:ip:${clientIp}`, limit: limits.ip });
+  }
+  if (limits.session && sessionId) {
+    buckets.push({ scope: 'session', key: `${action}:session:${sessionId}`, limit: limits.session });
+  }
+  // Keyed by the token's hash: a wrong token gets a bucket of its own
+  if (limits.seat && sessionId && body.token) {
+    const seat = `${sessionId}:${body.player}:${hashToken(body.token)}`;
+    buckets.push({ scope: 'seat', key: `${action}:seat:${seat}`, limit: limits.seat });
+  }
+
+  const now = Date.now();
+  for (const { scope, key, limit } of buckets) {
+    const wait = await sessionStore.takeToken(key, limit.burst, limit.perSecond / 1000, now);
+    if (wait > 0) {
+      log.info('Rate limited', { action, scope, clientIp, sessionId });
+      return {
+        statusCode: 429,
+        headers: { 'Content-Type': 'application/json', 'Retry-After': String(Math.ceil(wait / 1000)) },
+        body: JSON.stringify({ success: false, error: 'Too many requests' })
+      };
+    }
+  }
+  return null;
+}
+
+function badRequestResponse(error, details) {
   return {
-    statusCode: 503,
+    statusCode: 400,
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ success: false, error: 'Redis connection unavailable', detail: redisUnavailableMessage })
+    body: JSON.stringify(details ? { success: false, error, details } : { success: false, error })
   };
 }
 
-async function ensureRedisAvailable() {
-  try {
-    const client = await getRedisClient();
-    return { ok: true, client };
-  } catch (err) {
-    if (err instanceof RedisUnavailableError) {
-      return { ok: false, response: redisUnavailableResponse() };
-    }
-    throw err;
+// Routes called every few seconds or faster: the state and update actions every
+// client polls, and the probes. Their requests are logged at debug level, so the
+// default level isn't flooded.
+const QUIET_ROUTES = new Set(['state', 'update', 'healthz', 'readyz', 'metrics']);
+
+// Probe routes are matched on the end of the path, so they also work under the
+// /api prefix of Azure Functions or an API Gateway stage
+const PROBE_ROUTE_PATTERN = /\/(healthz|readyz|metrics)$/;
+const OPENAPI_PATH_PATTERN = /\/openapi\.json$/;
+
+// How long readyz waits for the session store before reporting it unavailable
+const READY_TIMEOUT = 1000;
+
+// What a request is counted under in the metrics. Actions come from the caller,
+// so unknown ones share a label rather than each getting their own series.
+function routeName(method, pathname, action, rest) {
+  if (action) {
+    return ACTION_SCHEMAS[action] ? action : 'unknown';
   }
+  if (rest) {
+    return 'unknown';
+  }
+  const probe = pathname.match(PROBE_ROUTE_PATTERN);
+  if (probe) {
+    return probe[1];
+  }
+  if (OPENAPI_PATH_PATTERN.test(pathname)) {
+    return 'openapi';
+  }
+  return method === 'GET' ? 'client' : 'unknown';
 }
 
-// Session TTL: 5 minutes (300 seconds)
-const SESSION_TTL = 300;
+// A caller's own request ID is kept if it looks like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
 
-// Helper functions for Redis session management
-async function getSession(sessionId) {
-  const client = await getRedisClient();
-  const data = await client.get(`session:${sessionId}`);
-  return data ? JSON.parse(data) : null;
+// Main handler function - platform agnostic. Takes a request built by the
+// adapter with createRequest() and returns a response (see http.js).
+// The request ID correlates the log entries of one request: the platform's
+// invocation ID, otherwise X-Request-Id or a fresh one is used. It is returned
+// in the X-Request-Id response header.
+async function handleRequest(request) {
+  const { method, path } = request;
+  // An ?action= query picks the action; otherwise the path may match a REST route
+  const rest = request.query.has('action') ? null : matchRoute(method, path);
+  const action = rest && rest.route ? rest.route.action : request.query.get('action');
+
+  let requestId = request.requestId;
+  if (!requestId) {
+    const headerId = request.headers['x-request-id'];
+    requestId = REQUEST_ID_PATTERN.test(headerId || '') ? headerId : crypto.randomUUID();
+  }
+
+  return withRequestContext({ requestId }, async () => {
+    const startTime = Date.now();
+    const route = routeName(method, path, action, rest);
+    const logged = { method, path, action };
+    // Bodies and cookies are never logged: they carry seat tokens
+    log.debug('Request received', { ...logged, headers: redactHeaders(request.headers) });
+
+    let response;
+    try {
+      response = await routeRequest(request, action, rest);
+    } catch (error) {
+      log.error('Request failed', { ...logged, error });
+      requestsTotal.inc({ action: route, status: 500 });
+      throw error;
+    }
+
+    const durationMs = Date.now() - startTime;
+    requestsTotal.inc({ action: route, status: response.statusCode });
+    requestDuration.observe({ action: route }, durationMs / 1000);
+
+    const level = QUIET_ROUTES.has(route) && response.statusCode < 500 ? 'debug' : 'info';
+    log[level]('Request handled', { ...logged, status: response.statusCode, durationMs });
+    return {
+      ...response,
+      headers: { ...response.headers, 'X-Request-Id': requestId }
+    };
+  });
 }
 
-async function setSession(sessionId, sessionData) {
-  const client = await getRedisClient();
-  sessionData.lastUpdate = Date.now();
-  await client.setEx(`session:${sessionId}`, SESSION_TTL, JSON.stringify(sessionData));
+// healthz: the process is up and serving. readyz: the session store answers,
+// so the instance can take traffic. metrics: Prometheus text format.
+async function handleProbe(probe) {
+  if (probe === 'metrics') {
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' },
+      body: await metrics.renderMetrics()
+    };
+  }
+
+  let status = { status: 'ok' };
+  if (probe === 'readyz') {
+    status = await checkSessionStore();
+  }
+  return {
+    statusCode: status.status === 'ok' ? 200 : 503,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    body: JSON.stringify(status)
+  };
 }
 
-async function deleteSession(sessionId) {
-  const client = await getRedisClient();
-  await client.del(`session:${sessionId}`);
+// Generated on first request; the routes and schemas don't change at runtime
+let openApiBody = null;
+
+function handleOpenApi() {
+  if (!openApiBody) {
+    openApiBody = JSON.stringify(openApiDocument(ACTION_SCHEMAS), null, 2);
+  }
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=300' },
+    body: openApiBody
+  };
 }
 
-function generateSessionId() {
-  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+async function checkSessionStore() {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Session store did not answer in time')), READY_TIMEOUT);
+  });
+  try {
+    await Promise.race([sessionStore.ping(), timeout]);
+    return { status: 'ok', store: sessionStore.name };
+  } catch (error) {
+    return { status: 'unavailable', store: sessionStore.name, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
-// Main handler function - platform agnostic
-async function handleRequest(method, url, body) {
-  const urlObj = new URL(url, 'http://localhost');
-  const action = urlObj.searchParams.get('action');
+async function routeRequest(request, action, rest) {
+  const { method, path, clientIp } = request;
 
-  // Handle GET requests - serve the HTML page
-  if (method === 'GET' && !action) {
-    const html = getGameHTML();
+  // Versioned REST routes - the same actions, addressed by path
+  if (rest && rest.allowed) {
     return {
-      statusCode: 200,
-      headers: { 'Content-Type': 'text/html' },
-      body: html
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json', 'Allow': rest.allowed.join(', ') },
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
     };
   }
+  if (rest) {
+    let payload;
+    try {
+      payload = routePayload(rest.route, rest.params, ACTION_SCHEMAS[action], request);
+    } catch (error) {
+      return badRequestResponse('Malformed JSON body');
+    }
+    return runAction(action, payload, clientIp);
+  }
+
+  // Handle GET requests - probes, the API description, then the client page and its bundles
+  if (method === 'GET' && !action) {
+    const probe = path.match(PROBE_ROUTE_PATTERN);
+    if (probe) {
+      return handleProbe(probe[1]);
+    }
+    if (OPENAPI_PATH_PATTERN.test(path)) {
+      return handleOpenApi();
+    }
+    return serveClient(path, request.headers);
+  }
 
   // Handle POST requests - game state management
   if (method === 'POST') {
-    try {
-      const redisStatus = await ensureRedisAvailable();
-      if (!redisStatus.ok) {
-        return redisStatus.response;
-      }
+    if (!ACTION_SCHEMAS[action]) {
+      return badRequestResponse('Invalid action');
+    }
 
-      const requestBody = typeof body === 'string' ? JSON.parse(body) : body;
-      
-      switch (action) {
-        case 'create':
-          return handleCreate();
-          
-        case 'join':
-          return handleJoin(requestBody);
-          
-        case 'start':
-          return handleStart(requestBody);
-          
-        case 'reset':
-          return handleReset(requestBody);
-          
-        case 'update':
-          return handleUpdate(requestBody);
-          
-        case 'state':
-          return handleState(requestBody);
-          
-        default:
-          return {
-            statusCode: 400,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ success: false, error: 'Invalid action' })
-          };
-      }
+    let parsedBody;
+    try {
+      parsedBody = request.body === null || request.body.trim() === '' ? null : JSON.parse(request.body);
     } catch (error) {
-      if (error instanceof RedisUnavailableError || redisUnavailable) {
-        return redisUnavailableResponse();
-      }
-      console.error('Error:', error);
+      return badRequestResponse('Malformed JSON body');
+    }
+
+    return runAction(action, parsedBody, clientIp);
+  }
+
+  return {
+    statusCode: 405,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ success: false, error: 'Method not allowed' })
+  };
+}
+
+// Validate an action's payload and run it
+async function runAction(action, payload, clientIp) {
+  const { value: requestBody, errors } = validate(ACTION_SCHEMAS[action], payload);
+  if (errors.length > 0) {
+    return badRequestResponse('Invalid request body', errors);
+  }
+
+  try {
+    const limited = await checkRateLimit(action, clientIp, requestBody);
+    if (limited) {
+      return limited;
+    }
+
+    switch (action) {
+      case 'create':
+        return await handleCreate(requestBody);
+        
+      case 'join':
+        return await handleJoin(requestBody);
+        
+      case 'start':
+        return await handleStart(requestBody);
+        
+      case 'reset':
+        return await handleReset(requestBody);
+        
+      case 'pause':
+        return await handlePause(requestBody);
+        
+      case 'resume':
+        return await handleResume(requestBody);
+        
+      case 'forfeit':
+        return await handleForfeit(requestBody);
+        
+      case 'update':
+        return await handleUpdate(requestBody);
+        
+      case 'state':
+        return await handleState(requestBody);
+        
+      case 'queue':
+        return await handleQueue(requestBody);
+        
+      case 'history':
+        return await handleHistory(requestBody);
+        
+      case 'leaderboard':
+        return await handleLeaderboard(requestBody);
+        
+      case 'replay':
+        return await handleReplay(requestBody);
+        
+      default:
+        return badRequestResponse('Invalid action');
+    }
+  } catch (error) {
+    if (error instanceof RedisUnavailableError) {
+      return redisUnavailableResponse(error);
+    }
+    // Not 503: retrying could apply the change twice
+    if (error instanceof RedisWriteTimeoutError) {
+      return {
+        statusCode: 504,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: error.message })
+      };
+    }
+    if (error instanceof SessionConflictError) {
       return {
-        statusCode: 500,
+        statusCode: 409,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ success: false, error: error.message })
       };
     }
+    log.error('Request failed', { action, error });
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: false, error: error.message })
+    };
   }
-
-  return {
-    statusCode: 405,
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ success: false, error: 'Method not allowed' })
-  };
 }
 
-async function handleCreate() {
+// Create a session with player 1 seated - and seat 2 given to the bot if the
+// opponent is one. Resolves to { sessionId, token }.
+async function createGameSession(p1Name, rules, opponent) {
   const sessionId = generateSessionId();
+  const token = generateToken();
   const sessionData = {
-    ballX: 400,
-    ballY: 300,
-    ballVelX: 10,
-    ballVelY: 7.5,
-    ballSpeedMultiplier: 1.0,
-    p1Y: 300,
-    p2Y: 300,
-    p1Score: 0,
-    p2Score: 0,
-    gameStarted: false,
-    winner: null,
+    rules: { ...DEFAULT_RULES, ...rules },
+    p1Y: CANVAS_HEIGHT / 2,
+    p2Y: CANVAS_HEIGHT / 2,
     countdownActive: false,
     countdownValue: 0,
-    readyToStart: false,
+    countdownStartTime: null,
+    version: 0,
     lastUpdate: Date.now(),
     p1Connected: true,
-    p2Connected: false
+    p2Connected: false,
+    p1LastSeen: null,
+    p2LastSeen: null,
+    p1Name: p1Name || DEFAULT_NAMES[1],
+    p2Name: DEFAULT_NAMES[2],
+    p1TokenHash: hashToken(token),
+    p2TokenHash: null,
+    opponent: { type: 'human' }
   };
+  resetGame(sessionData);
+
+  if (opponent && opponent.type === 'bot') {
+    const difficulty = opponent.difficulty || 'medium';
+    sessionData.opponent = {
+      type: 'bot',
+      difficulty,
+      ...BOT_DIFFICULTIES[difficulty],
+      ...(opponent.reactionMs !== undefined && { reactionMs: opponent.reactionMs }),
+      ...(opponent.error !== undefined && { error: opponent.error })
+    };
+    sessionData.botState = { targetY: CANVAS_HEIGHT / 2, nextThinkAt: 0 };
+    sessionData.p2Connected = true;
+    sessionData.p2Name = `Bot (${difficulty})`;
+    // Nobody ever holds this token, so `join` finds the seat taken
+    sessionData.p2TokenHash = hashToken(generateToken());
+  }
   
   await setSession(sessionId, sessionData);
+  return { sessionId, token };
+}
+
+// Seat player 2. Resolves to { session, token }; token is null if the seat was
+// already taken and session is null if the session doesn't exist.
+async function claimSecondSeat(sessionId, p2Name) {
+  let token = null;
+  const session = await updateSession(sessionId, (session) => {
+    if (session.p2TokenHash) {
+      token = null;
+      return false;
+    }
+    token = generateToken();
+    session.p2Connected = true;
+    session.p2Name = p2Name || DEFAULT_NAMES[2];
+    session.p2TokenHash = hashToken(token);
+  });
+  return { session, token };
+}
+
+async function handleCreate(body) {
+  const { sessionId, token } = await createGameSession(body.name, body.rules, body.opponent);
   
   return {
     statusCode: 200,
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ sessionId, success: true })
+    body: JSON.stringify({ sessionId, player: 1, token, success: true })
   };
 }
 
 async function handleJoin(body) {
   const joinSessionId = body.sessionId;
-  const session = await getSession(joinSessionId);
+  const { session, token } = await claimSecondSeat(joinSessionId, body.name);
   
   if (session) {
-    session.p2Connected = true;
-    await setSession(joinSessionId, session);
+    if (!token) {
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: 'Seat already taken' })
+      };
+    }
     
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ success: true, p2Connected: true })
+      body: JSON.stringify({ success: true, p2Connected: true, player: 2, token, version: session.version })
     };
   }
   return {
@@ -241,53 +1120,163 @@ async function handleJoin(body) {
   };
 }
 
-async function handleStart(body) {
-  const startSessionId = body.sessionId;
-  const session = await getSession(startSessionId);
-  
-  if (session) {
-    session.countdownActive = true;
-    session.countdownValue = 3;
-    session.countdownStartTime = Date.now();
-    await setSession(startSessionId, session);
-    
+// Pair two queued tickets: create a session the same way `create` and `join`
+// do and leave each ticket its seat to pick up on its next poll
+async function matchQueuedPlayers(tickets) {
+  const { sessionId, token: p1Token } = await createGameSession();
+  const { token: p2Token } = await claimSecondSeat(sessionId);
+
+  await sessionStore.setMatch(tickets[0], { sessionId, player: 1, token: p1Token }, QUEUE_MATCH_TTL);
+  await sessionStore.setMatch(tickets[1], { sessionId, player: 2, token: p2Token }, QUEUE_MATCH_TTL);
+  log.info('Matched queued players', { sessionId });
+}
+
+// Hand a ticket its seat. The queue only tracks tickets, so the player's name
+// goes into the session when they pick the seat up.
+async function queueMatchResponse(ticket, match, name) {
+  if (name) {
+    await updateSession(match.sessionId, (session) => {
+      session[`p${match.player}Name`] = name;
+    });
+  }
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ success: true, matched: true, ticket, ...match })
+  };
+}
+
+// Without a ticket: join the queue and get one. With a ticket: poll for a match.
+// Every call also tries to pair the two longest-waiting live tickets.
+async function handleQueue(body) {
+  const now = Date.now();
+  let ticket = body.ticket;
+
+  if (ticket) {
+    let match = await sessionStore.takeMatch(ticket);
+    if (match) {
+      return queueMatchResponse(ticket, match, body.name);
+    }
+    if (!(await sessionStore.queueTouch(ticket, now))) {
+      // Someone may have paired us between the two calls
+      match = await sessionStore.takeMatch(ticket);
+      if (match) {
+        return queueMatchResponse(ticket, match, body.name);
+      }
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: 'Queue ticket expired' })
+      };
+    }
+  } else {
+    ticket = generateToken();
+    await sessionStore.queueJoin(ticket, now);
+  }
+
+  const pair = await sessionStore.queuePopPair(now - QUEUE_TIMEOUT);
+  if (pair) {
+    await matchQueuedPlayers(pair);
+    const match = await sessionStore.takeMatch(ticket);
+    if (match) {
+      return queueMatchResponse(ticket, match, body.name);
+    }
+  }
+
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ success: true, matched: false, ticket })
+  };
+}
+
+async function handleHistory(body) {
+  const offset = body.offset || 0;
+  const limit = body.limit || DEFAULT_PAGE_SIZE;
+  const { matches, total } = await sessionStore.getHistory(offset, limit);
+
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ success: true, matches, offset, limit, total })
+  };
+}
+
+async function handleLeaderboard(body) {
+  const offset = body.offset || 0;
+  const limit = body.limit || DEFAULT_PAGE_SIZE;
+  const { entries, total } = await sessionStore.getLeaderboard(offset, limit);
+
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      success: true,
+      entries: entries.map((entry, index) => ({ rank: offset + index + 1, ...entry })),
+      offset,
+      limit,
+      total
+    })
+  };
+}
+
+// Recorded frames outlive the session itself, so replays work after it expires.
+// Read a page at a time: `next` is the `after` that fetches the following page,
+// null on the last one.
+async function handleReplay(body) {
+  const limit = body.limit || REPLAY_PAGE_SIZE;
+  const { frames, next } = await sessionStore.getFrames(body.sessionId, body.after || null, limit);
+  if (frames.length === 0 && !body.after) {
     return {
-      statusCode: 200,
+      statusCode: 404,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ success: true })
+      body: JSON.stringify({ success: false, error: 'Replay not found' })
     };
   }
+
   return {
-    statusCode: 404,
+    statusCode: 200,
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ success: false, error: 'Session not found' })
+    body: JSON.stringify({ success: true, sessionId: body.sessionId, frames, next })
   };
 }
 
-async function handleReset(body) {
-  const resetSessionId = body.sessionId;
-  const session = await getSession(resetSessionId);
-  
+// Shared by start/reset/pause/resume/forfeit: `control(session, now)` changes the game, or
+// returns a message explaining why it can't (answered with 409).
+async function controlGame(body, control) {
+  let authError = null;
+  let conflict = null;
+  const session = await updateSession(body.sessionId, (session) => {
+    authError = authorizePlayer(session, body);
+    if (authError) {
+      return false;
+    }
+
+    const now = Date.now();
+    markSeen(session, body.player, now);
+    advanceSession(session, now);
+    conflict = control(session, now);
+    if (conflict) {
+      return false;
+    }
+  });
+
   if (session) {
-    session.ballX = 400;
-    session.ballY = 300;
-    session.ballVelX = 10;
-    session.ballVelY = 7.5;
-    session.ballSpeedMultiplier = 1.0;
-    session.p1Score = 0;
-    session.p2Score = 0;
-    session.gameStarted = false;
-    session.winner = null;
-    session.countdownActive = true;
-    session.countdownValue = 3;
-    session.countdownStartTime = Date.now();
-    session.readyToStart = false;
-    await setSession(resetSessionId, session);
-    
+    if (authError) {
+      return authError;
+    }
+    if (conflict) {
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: conflict })
+      };
+    }
+
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ success: true })
+      body: JSON.stringify({ success: true, version: session.version })
     };
   }
   return {
@@ -297,64 +1286,96 @@ async function handleReset(body) {
   };
 }
 
-async function handleUpdate(body) {
-  const updateSessionId = body.sessionId;
-  const session = await getSession(updateSessionId);
-  
-  if (session) {
-    if (body.player === 1 && body.paddleY !== undefined) {
-      session.p1Y = body.paddleY;
-    } else if (body.player === 2 && body.paddleY !== undefined) {
-      session.p2Y = body.paddleY;
-    }
-    
-    if (body.ballX !== undefined) {
-      session.ballX = body.ballX;
-      session.ballY = body.ballY;
-      session.ballVelX = body.ballVelX;
-      session.ballVelY = body.ballVelY;
+// Only between games: starting again mid-game would replay the countdown and,
+// with a time limit, restart the clock
+async function handleStart(body) {
+  return controlGame(body, (session, now) => {
+    if (gameInProgress(session)) {
+      return 'Game already in progress';
     }
-    
-    if (body.ballSpeedMultiplier !== undefined) {
-      session.ballSpeedMultiplier = body.ballSpeedMultiplier;
+    startCountdown(session, now);
+    return null;
+  });
+}
+
+// A rematch once a game is won or forfeited, and no sooner: resetting mid-game
+// would wipe the score
+async function handleReset(body) {
+  return controlGame(body, (session, now) => {
+    if (gameInProgress(session)) {
+      return 'Game already in progress';
     }
-    
-    if (body.p1Score !== undefined) {
-      session.p1Score = body.p1Score;
+    resetGame(session);
+    startCountdown(session, now);
+    return null;
+  });
+}
+
+async function handlePause(body) {
+  return controlGame(body, (session, now) => {
+    if (!gameInProgress(session) || session.paused) {
+      return 'Game is not running';
     }
-    if (body.p2Score !== undefined) {
-      session.p2Score = body.p2Score;
+    const pausesKey = `p${body.player}Pauses`;
+    if ((session[pausesKey] || 0) >= PAUSES_PER_GAME) {
+      return 'No pauses left';
     }
-    
-    if (body.winner !== undefined) {
-      session.winner = body.winner;
+    session[pausesKey] = (session[pausesKey] || 0) + 1;
+    pauseGame(session, now, 'player');
+    session.pausedBy = body.player;
+    return null;
+  });
+}
+
+// Either player may resume; play carries on after the usual countdown
+async function handleResume(body) {
+  return controlGame(body, (session, now) => {
+    if (!session.paused || session.pauseReason !== 'player') {
+      return 'Game is not paused';
     }
-    
-    if (body.countdownActive !== undefined) {
-      session.countdownActive = body.countdownActive;
-      if (body.countdownActive === false && body.countdownValue === 0) {
-        session.readyToStart = true;
-      }
+    resumeGame(session, now);
+    return null;
+  });
+}
+
+async function handleForfeit(body) {
+  return controlGame(body, (session) => {
+    if (!gameInProgress(session)) {
+      return 'Game is not in progress';
     }
-    
-    if (body.countdownValue !== undefined) {
-      session.countdownValue = body.countdownValue;
+    forfeitGame(session, body.player);
+    return null;
+  });
+}
+
+async function handleUpdate(body) {
+  const updateSessionId = body.sessionId;
+  let authError = null;
+  const session = await updateSession(updateSessionId, (session) => {
+    authError = authorizePlayer(session, body);
+    if (authError) {
+      return false;
     }
-    
-    if (body.gameStarted !== undefined) {
-      session.gameStarted = body.gameStarted;
+
+    // Run the ball up to now with the paddles where they were, then move the paddle
+    const now = Date.now();
+    markSeen(session, body.player, now);
+    advanceSession(session, now);
+
+    if (body.paddleY !== undefined) {
+      setPaddle(session, body.player, body.paddleY);
     }
-    
-    if (body.readyToStart !== undefined) {
-      session.readyToStart = body.readyToStart;
+  }, { frameKind: 'update' });
+  
+  if (session) {
+    if (authError) {
+      return authError;
     }
     
-    await setSession(updateSessionId, session);
-    
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ success: true })
+      body: JSON.stringify({ success: true, version: session.version })
     };
   }
   return {
@@ -364,576 +1385,190 @@ async function handleUpdate(body) {
   };
 }
 
-async function handleState(body) {
-  const stateSessionId = body.sessionId;
-  const session = await getSession(stateSessionId);
-  
-  if (session) {
-    // Update countdown based on elapsed time
-    if (session.countdownActive && session.countdownStartTime) {
-      const elapsed = Date.now() - session.countdownStartTime;
-      const secondsElapsed = Math.floor(elapsed / 1000);
-      
-      let newCountdownValue;
-      if (secondsElapsed >= 3) {
-        newCountdownValue = 0;
-      } else {
-        newCountdownValue = 3 - secondsElapsed;
-      }
-      
-      if (newCountdownValue !== session.countdownValue) {
-        session.countdownValue = newCountdownValue;
-      }
-      
-      if (newCountdownValue === 0) {
-        session.countdownActive = false;
-        session.readyToStart = true;
-        session.countdownStartTime = null;
+// Bring a session up to now. Countdown and ball position are derived from
+// elapsed time, so this only writes when they moved.
+async function refreshSession(sessionId) {
+  return updateSession(sessionId, (session) => advanceSession(session, Date.now()));
+}
+
+// Bring a session up to now and return what clients may see, or null if it doesn't exist
+async function getSessionState(sessionId) {
+  const session = await refreshSession(sessionId);
+  return session ? publicState(session) : null;
+}
+
+// Hold until the session version moves off sinceVersion or waitMs runs out. Wakes
+// up on writes from other requests and whenever the countdown or ball is due to
+// move. Resolves to the latest session, or null if it doesn't exist.
+async function waitForSessionChange(sessionId, sinceVersion, waitMs) {
+  const deadline = Date.now() + waitMs;
+  let session = await refreshSession(sessionId);
+  if (!session || session.version !== sinceVersion || Date.now() >= deadline) {
+    return session;
+  }
+
+  let wake = null;
+  const unsubscribe = await sessionStore.subscribe(sessionId, () => {
+    if (wake) {
+      wake();
+    }
+  });
+
+  try {
+    while (true) {
+      session = await refreshSession(sessionId);
+      const now = Date.now();
+      if (!session || session.version !== sinceVersion || now >= deadline) {
+        return session;
       }
-      
-      // Save updated countdown state
-      await setSession(stateSessionId, session);
+
+      const wakeAt = Math.min(deadline, nextTimedChange(session, now));
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, wakeAt - now);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wake = null;
     }
-    
-    console.log('[STATE] Session state:', JSON.stringify({
-      countdownActive: session.countdownActive,
-      countdownValue: session.countdownValue,
-      readyToStart: session.readyToStart,
-      gameStarted: session.gameStarted,
-      ballX: session.ballX,
-      ballY: session.ballY,
-      ballVelX: session.ballVelX,
-      ballVelY: session.ballVelY
-    }));
-    
+  } finally {
+    await unsubscribe();
+  }
+}
+
+async function handleLongPollState(body) {
+  const waitMs = body.waitMs !== undefined ? body.waitMs : LONG_POLL_MAX_WAIT;
+  const session = await waitForSessionChange(body.sessionId, body.sinceVersion, waitMs);
+
+  if (!session) {
+    return {
+      statusCode: 404,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: false, error: 'Session not found' })
+    };
+  }
+
+  if (session.version < body.sinceVersion) {
+    // The client is ahead of the server (e.g. the session was recreated): resync in full
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        success: true,
-        state: session
-      })
+      body: JSON.stringify({ success: true, changed: true, version: session.version, state: publicState(session) })
     };
   }
+
+  if (session.version === body.sinceVersion) {
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: true, changed: false, version: session.version })
+    };
+  }
+
   return {
-    statusCode: 404,
+    statusCode: 200,
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ success: false, error: 'Session not found' })
+    body: JSON.stringify({
+      success: true,
+      changed: true,
+      version: session.version,
+      delta: stateDelta(session, body.sinceVersion)
+    })
   };
 }
 
-function getGameHTML() {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Serverless Pong</title>
-</head>
-<body>
-    <div id="app">
-        <div id="lobby" class="lobby-screen">
-            <h1>Serverless Pong</h1>
-            <div class="lobby-buttons">
-                <button id="openP1Btn" class="pixel-button">Open Player 1</button>
-                <button id="openP2Btn" class="pixel-button">Open Player 2</button>
-            </div>
-        </div>
-        <div id="game" class="screen hidden">
-            <div id="scores">
-                <div id="p1Score" class="score"></div>
-                <div id="p2Score" class="score"></div>
-            </div>
-            <canvas id="gameCanvas"></canvas>
-            <button id="startBtn" class="pixel-button game-start-btn hidden">START</button>
-            <div id="countdown" class="countdown hidden"></div>
-            <div id="winMessage" class="hidden">
-                <div id="winText"></div>
-                <button id="replayBtn" class="pixel-button hidden">REPLAY</button>
-            </div>
-        </div>
-    </div>
-    <script>
-// Game constants
-const FULL_WIDTH = 800;
-const CANVAS_WIDTH = 400;
-const CANVAS_HEIGHT = 600;
-const PADDLE_WIDTH = 20;
-const PADDLE_HEIGHT = 100;
-const BALL_SIZE = 16;
-const WINNING_SCORE = 3;
-const UPDATE_INTERVAL = 50;
-const BASE_BALL_SPEED = 10;
-
-// Determine API base path based on environment
-const API_BASE = window.location.pathname.includes('/api/') ? '/api/game' : '';
-
-// Game state
-let sessionId = null;
-let playerNumber = null;
-let gameStarted = false;
-let p1Y = CANVAS_HEIGHT / 2;
-let p2Y = CANVAS_HEIGHT / 2;
-let ballX = FULL_WIDTH / 2;
-let ballY = CANVAS_HEIGHT / 2;
-let ballVelX = BASE_BALL_SPEED;
-let ballVelY = BASE_BALL_SPEED * 0.75;
-let ballSpeedMultiplier = 1.0;
-let p1Score = 0;
-let p2Score = 0;
-let winner = null;
-let mouseY = CANVAS_HEIGHT / 2;
-let updateTimer = null;
-
-// DOM elements
-const lobby = document.getElementById('lobby');
-const game = document.getElementById('game');
-const openP1Btn = document.getElementById('openP1Btn');
-const openP2Btn = document.getElementById('openP2Btn');
-const startBtn = document.getElementById('startBtn');
-const canvas = document.getElementById('gameCanvas');
-const ctx = canvas ? canvas.getContext('2d') : null;
-const p1ScoreDiv = document.getElementById('p1Score');
-const p2ScoreDiv = document.getElementById('p2Score');
-const winMessage = document.getElementById('winMessage');
-const winText = document.getElementById('winText');
-const replayBtn = document.getElementById('replayBtn');
-const countdown = document.getElementById('countdown');
-
-if (canvas) {
-    canvas.width = CANVAS_WIDTH;
-    canvas.height = CANVAS_HEIGHT;
-}
-
-let isWindowActive = true;
-window.addEventListener('focus', () => { isWindowActive = true; });
-window.addEventListener('blur', () => { isWindowActive = false; });
-
-document.addEventListener('mousemove', (e) => {
-    if (isWindowActive) {
-        mouseY = e.clientY;
-        mouseY = Math.max(0, Math.min(CANVAS_HEIGHT, mouseY));
-        
-        if (playerNumber === 1) {
-            p1Y = Math.max(PADDLE_HEIGHT / 2, Math.min(CANVAS_HEIGHT - PADDLE_HEIGHT / 2, mouseY));
-        } else if (playerNumber === 2) {
-            p2Y = Math.max(PADDLE_HEIGHT / 2, Math.min(CANVAS_HEIGHT - PADDLE_HEIGHT / 2, mouseY));
-        }
+// A state poll from a seated player. Recorded at most once per HEARTBEAT_INTERVAL,
+// since each write wakes everyone long-polling the session. `state` itself stays
+// public, so a poll with a bad token simply isn't a heartbeat.
+async function recordHeartbeat(body) {
+  const now = Date.now();
+  await updateSession(body.sessionId, (session) => {
+    if (authorizePlayer(session, body)) {
+      return false;
     }
-}, { passive: true });
-
-const urlParams = new URLSearchParams(window.location.search);
-const sessionParam = urlParams.get('session');
-const playerParam = urlParams.get('player');
-
-if (sessionParam && playerParam) {
-    sessionId = sessionParam;
-    playerNumber = parseInt(playerParam);
-    
-    if (lobby) lobby.classList.add('hidden');
-    if (game) game.classList.remove('hidden');
-    
-    if (playerNumber === 1) {
-        if (startBtn) startBtn.classList.remove('hidden');
-        setupPlayerControls();
-        startPolling();
-    } else if (playerNumber === 2) {
-        joinSession();
-        setupPlayerControls();
-        startPolling();
+    const lastSeen = session[`p${body.player}LastSeen`];
+    if (session[`p${body.player}Connected`] && lastSeen && now - lastSeen < HEARTBEAT_INTERVAL) {
+      return false;
     }
-} else {
-    initializeLobby();
+    markSeen(session, body.player, now);
+    advanceSession(session, now);
+  });
 }
 
-async function initializeLobby() {
-    await createSession();
-    setupLobby();
-}
-
-async function createSession() {
-    try {
-        console.log('Creating session...');
-        const response = await fetch(API_BASE + '?action=create', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({})
-        });
-        const data = await response.json();
-        
-        if (data.success) {
-            sessionId = data.sessionId;
-            console.log('Session created:', sessionId);
-        } else {
-            console.error('Failed to create session:', data);
-        }
-    } catch (error) {
-        console.error('Error creating session:', error);
-    }
-}
+async function handleState(body) {
+  if (body.player !== undefined) {
+    await recordHeartbeat(body);
+  }
 
-async function joinSession() {
-    try {
-        const response = await fetch(API_BASE + '?action=join', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sessionId })
-        });
-        const data = await response.json();
-        
-        if (data.success) {
-            console.log('Joined session:', sessionId);
-        }
-    } catch (error) {
-        console.error('Error joining session:', error);
-    }
-}
+  if (body.sinceVersion !== undefined) {
+    return handleLongPollState(body);
+  }
 
-function setupLobby() {
-    console.log('Setting up lobby with sessionId:', sessionId);
-    if (openP1Btn) {
-        openP1Btn.addEventListener('click', () => {
-            console.log('Player 1 button clicked, sessionId:', sessionId);
-            const p1Url = window.location.origin + window.location.pathname + '?session=' + sessionId + '&player=1';
-            console.log('Opening Player 1 URL:', p1Url);
-            window.open(p1Url, 'Player1', 'width=450,height=700,left=100,top=100');
-        });
-    } else {
-        console.error('openP1Btn not found');
-    }
-    
-    if (openP2Btn) {
-        openP2Btn.addEventListener('click', () => {
-            console.log('Player 2 button clicked, sessionId:', sessionId);
-            const p2Url = window.location.origin + window.location.pathname + '?session=' + sessionId + '&player=2';
-            console.log('Opening Player 2 URL:', p2Url);
-            window.open(p2Url, 'Player2', 'width=450,height=700,left=570,top=100');
-        });
-    } else {
-        console.error('openP2Btn not found');
-    }
+  const stateSessionId = body.sessionId;
+  const state = await getSessionState(stateSessionId);
+  
+  if (state) {
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        success: true,
+        state
+      })
+    };
+  }
+  return {
+    statusCode: 404,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ success: false, error: 'Session not found' })
+  };
 }
 
-function setupPlayerControls() {
-    if (startBtn && playerNumber === 1) {
-        startBtn.addEventListener('click', async () => {
-            startBtn.classList.add('hidden');
-            
-            await fetch(API_BASE + '?action=start', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ sessionId })
-            });
-        });
-    }
-    
-    if (replayBtn) {
-        replayBtn.addEventListener('click', async () => {
-            winMessage.classList.add('hidden');
-            replayBtn.classList.add('hidden');
-            
-            await fetch(API_BASE + '?action=reset', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ sessionId })
-            });
-        });
-    }
-}
-
-async function gameLoop() {
-    if (!gameStarted || winner) return;
-    
-    if (playerNumber === 1) {
-        p1Y = Math.max(PADDLE_HEIGHT / 2, Math.min(CANVAS_HEIGHT - PADDLE_HEIGHT / 2, mouseY));
-    } else {
-        p2Y = Math.max(PADDLE_HEIGHT / 2, Math.min(CANVAS_HEIGHT - PADDLE_HEIGHT / 2, mouseY));
-    }
-    
-    if (playerNumber === 1) {
-        updateBallPhysics();
-    }
-    
-    await sendUpdate();
-    render();
-}
+// Push subscriptions for adapters that can hold a connection open (see local.js).
+// Push clients don't poll `state`, so while a session has subscribers in this
+// process it is also advanced here every UPDATE_INTERVAL. Several replicas doing
+// this is harmless: physics is derived from timestamps and writes are atomic.
+const sessionTickers = new Map();
 
-function updateBallPhysics() {
-    ballX += ballVelX;
-    ballY += ballVelY;
-    
-    if (ballY - BALL_SIZE / 2 <= 0 || ballY + BALL_SIZE / 2 >= CANVAS_HEIGHT) {
-        ballVelY = -ballVelY;
-    }
-    
-    if (ballX - BALL_SIZE / 2 <= PADDLE_WIDTH) {
-        if (ballY >= p1Y - PADDLE_HEIGHT / 2 && ballY <= p1Y + PADDLE_HEIGHT / 2) {
-            ballVelX = Math.abs(ballVelX);
-            const hitPos = (ballY - p1Y) / (PADDLE_HEIGHT / 2);
-            ballVelY += hitPos * 2;
-        }
-    }
-    
-    if (ballX + BALL_SIZE / 2 >= FULL_WIDTH - PADDLE_WIDTH) {
-        if (ballY >= p2Y - PADDLE_HEIGHT / 2 && ballY <= p2Y + PADDLE_HEIGHT / 2) {
-            ballVelX = -Math.abs(ballVelX);
-            const hitPos = (ballY - p2Y) / (PADDLE_HEIGHT / 2);
-            ballVelY += hitPos * 2;
-        }
-    }
-    
-    if (ballX < 0) {
-        p2Score++;
-        ballSpeedMultiplier *= 1.5;
-        resetBall();
-    } else if (ballX > FULL_WIDTH) {
-        p1Score++;
-        ballSpeedMultiplier *= 1.5;
-        resetBall();
-    }
-    
-    if (p1Score >= WINNING_SCORE) {
-        winner = 1;
-        endGame();
-    } else if (p2Score >= WINNING_SCORE) {
-        winner = 2;
-        endGame();
+function startTicker(sessionId) {
+  const ticker = { subscribers: 0, running: false, timer: null };
+  ticker.timer = setInterval(async () => {
+    if (ticker.running) {
+      return;
     }
-}
-
-function resetBall() {
-    ballX = FULL_WIDTH / 2;
-    ballY = CANVAS_HEIGHT / 2;
-    ballVelX = (Math.random() > 0.5 ? 1 : -1) * BASE_BALL_SPEED * ballSpeedMultiplier;
-    ballVelY = (Math.random() - 0.5) * BASE_BALL_SPEED * 1.5 * ballSpeedMultiplier;
-}
-
-async function sendUpdate() {
+    ticker.running = true;
     try {
-        const updateData = {
-            sessionId,
-            player: playerNumber,
-            paddleY: playerNumber === 1 ? p1Y : p2Y
-        };
-        
-        if (playerNumber === 1) {
-            updateData.ballX = ballX;
-            updateData.ballY = ballY;
-            updateData.ballVelX = ballVelX;
-            updateData.ballVelY = ballVelY;
-            updateData.ballSpeedMultiplier = ballSpeedMultiplier;
-            updateData.p1Score = p1Score;
-            updateData.p2Score = p2Score;
-            updateData.winner = winner;
-        }
-        
-        await fetch(API_BASE + '?action=update', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(updateData)
-        });
+      await getSessionState(sessionId);
     } catch (error) {
-        console.error('Error sending update:', error);
+      log.warn('Failed to advance pushed session', { sessionId, error: error.message });
+    } finally {
+      ticker.running = false;
     }
+  }, UPDATE_INTERVAL);
+  return ticker;
 }
 
-async function startPolling() {
-    const paddleUpdateTimer = setInterval(async () => {
-        if (!gameStarted && !winner) {
-            await sendUpdate();
-        }
-    }, UPDATE_INTERVAL);
-    
-    setInterval(async () => {
-        try {
-            const response = await fetch(API_BASE + '?action=state', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ sessionId })
-            });
-            const data = await response.json();
-            
-            if (data.success && data.state) {
-                if (data.state.countdownActive && data.state.countdownValue > 0 && countdown) {
-                    if (countdown.classList.contains('hidden')) {
-                        countdown.classList.remove('hidden');
-                        countdown.textContent = data.state.countdownValue;
-                        winMessage.classList.add('hidden');
-                        replayBtn.classList.add('hidden');
-                        winner = null;
-                        gameStarted = false;
-                        p1Score = 0;
-                        p2Score = 0;
-                        ballSpeedMultiplier = 1.0;
-                        if (updateTimer) {
-                            clearInterval(updateTimer);
-                            updateTimer = null;
-                        }
-                    } else if (countdown.textContent != data.state.countdownValue) {
-                        countdown.textContent = data.state.countdownValue;
-                    }
-                } else if (!data.state.countdownActive && countdown && !countdown.classList.contains('hidden')) {
-                    countdown.classList.add('hidden');
-                }
-                
-                console.log('Poll state - readyToStart:', data.state.readyToStart, 'client gameStarted:', gameStarted, 'server gameStarted:', data.state.gameStarted);
-                
-                if (data.state.readyToStart && !gameStarted) {
-                    console.log('Starting game! readyToStart=', data.state.readyToStart, 'gameStarted=', gameStarted);
-                    if (countdown && !countdown.classList.contains('hidden')) {
-                        countdown.classList.add('hidden');
-                    }
-                    
-                    gameStarted = true;
-                    p1Score = 0;
-                    p2Score = 0;
-                    ballSpeedMultiplier = 1.0;
-                    winner = null;
-                    if (updateTimer) {
-                        clearInterval(updateTimer);
-                    }
-                    updateTimer = setInterval(gameLoop, UPDATE_INTERVAL);
-                    
-                    await fetch(API_BASE + '?action=update', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ sessionId, readyToStart: false, gameStarted: true })
-                    });
-                } else if (data.state.gameStarted !== gameStarted) {
-                    // Only sync gameStarted from server if we didn't just start the game
-                    console.log('Syncing gameStarted from server:', data.state.gameStarted);
-                    gameStarted = data.state.gameStarted;
-                }
-                
-                if (playerNumber === 2) {
-                    ballX = data.state.ballX;
-                    ballY = data.state.ballY;
-                    ballVelX = data.state.ballVelX;
-                    ballVelY = data.state.ballVelY;
-                    ballSpeedMultiplier = data.state.ballSpeedMultiplier || 1.0;
-                    p1Score = data.state.p1Score;
-                    p2Score = data.state.p2Score;
-                    p1Y = data.state.p1Y;
-                    
-                    if (data.state.winner && !winner) {
-                        winner = data.state.winner;
-                        endGame();
-                    }
-                } else {
-                    p2Y = data.state.p2Y;
-                    if (!gameStarted) {
-                        ballSpeedMultiplier = data.state.ballSpeedMultiplier || 1.0;
-                    }
-                }
-                
-                updateScores();
-                render();
-            }
-        } catch (error) {
-            console.error('Error polling state:', error);
-        }
-    }, UPDATE_INTERVAL);
-}
+// Calls listener(state) with the public state after every write to the session.
+// Resolves to an async unsubscribe function.
+async function subscribeSession(sessionId, listener) {
+  const unsubscribe = await sessionStore.subscribe(sessionId, (session) => listener(publicState(session)));
 
-function updateScores() {
-    p1ScoreDiv.innerHTML = '';
-    p2ScoreDiv.innerHTML = '';
-    
-    for (let i = 0; i < p1Score; i++) {
-        const ball = document.createElement('div');
-        ball.className = 'score-ball';
-        p1ScoreDiv.appendChild(ball);
-    }
-    
-    for (let i = 0; i < p2Score; i++) {
-        const ball = document.createElement('div');
-        ball.className = 'score-ball';
-        p2ScoreDiv.appendChild(ball);
-    }
-}
+  let ticker = sessionTickers.get(sessionId);
+  if (!ticker) {
+    ticker = startTicker(sessionId);
+    sessionTickers.set(sessionId, ticker);
+  }
+  ticker.subscribers++;
 
-function render() {
-    if (!ctx) return;
-    
-    ctx.fillStyle = '#000';
-    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-    ctx.fillStyle = '#0f0';
-    
-    if (playerNumber === 1) {
-        ctx.strokeStyle = '#0f0';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([10, 10]);
-        ctx.beginPath();
-        ctx.moveTo(CANVAS_WIDTH - 1, 0);
-        ctx.lineTo(CANVAS_WIDTH - 1, CANVAS_HEIGHT);
-        ctx.stroke();
-        ctx.setLineDash([]);
-        
-        ctx.fillRect(0, p1Y - PADDLE_HEIGHT / 2, PADDLE_WIDTH, PADDLE_HEIGHT);
-        
-        if (ballX <= CANVAS_WIDTH) {
-            ctx.fillRect(ballX - BALL_SIZE / 2, ballY - BALL_SIZE / 2, BALL_SIZE, BALL_SIZE);
-        }
-    } else {
-        ctx.strokeStyle = '#0f0';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([10, 10]);
-        ctx.beginPath();
-        ctx.moveTo(1, 0);
-        ctx.lineTo(1, CANVAS_HEIGHT);
-        ctx.stroke();
-        ctx.setLineDash([]);
-        
-        ctx.fillRect(CANVAS_WIDTH - PADDLE_WIDTH, p2Y - PADDLE_HEIGHT / 2, PADDLE_WIDTH, PADDLE_HEIGHT);
-        
-        if (ballX >= CANVAS_WIDTH) {
-            const localBallX = ballX - CANVAS_WIDTH;
-            ctx.fillRect(localBallX - BALL_SIZE / 2, ballY - BALL_SIZE / 2, BALL_SIZE, BALL_SIZE);
-        }
+  return async () => {
+    ticker.subscribers--;
+    if (ticker.subscribers === 0) {
+      clearInterval(ticker.timer);
+      sessionTickers.delete(sessionId);
     }
+    await unsubscribe();
+  };
 }
 
-function endGame() {
-    if (updateTimer) {
-        clearInterval(updateTimer);
-    }
-    if (winText) {
-        winText.textContent = 'PLAYER ' + winner + ' WINS!';
-    }
-    winMessage.classList.remove('hidden');
-    
-    const isLoser = (playerNumber === 1 && winner === 2) || (playerNumber === 2 && winner === 1);
-    if (isLoser && replayBtn) {
-        replayBtn.classList.remove('hidden');
-    }
-}
-    </script>
-    <style>
-* { margin: 0; padding: 0; box-sizing: border-box; }
-body { font-family: 'Courier New', monospace; background: #000; color: #fff; overflow: hidden; display: flex; justify-content: center; align-items: center; height: 100vh; }
-body:has(.lobby-screen:not(.hidden)) { background: #fff; color: #000; }
-#app { width: 100%; height: 100%; }
-.screen { width: 100%; height: 100%; display: flex; flex-direction: column; justify-content: center; align-items: center; }
-.hidden { display: none !important; }
-.lobby-screen { width: 100%; height: 100%; display: flex; flex-direction: column; justify-content: center; align-items: center; background: #fff; }
-.lobby-screen h1 { color: #000; }
-.lobby-buttons { display: flex; gap: 2rem; margin-top: 2rem; }
-h1 { font-size: 4rem; margin-bottom: 3rem; text-shadow: 4px 4px 0px #333; letter-spacing: 0.5rem; color: #0f0; }
-.pixel-button { font-family: 'Courier New', monospace; font-size: 1.5rem; padding: 1rem 2rem; margin: 1rem; background: #0f0; color: #000; border: 4px solid #0a0; cursor: pointer; box-shadow: 4px 4px 0px #0a0; transition: all 0.1s; font-weight: bold; text-transform: uppercase; }
-.pixel-button:hover { background: #0ff; border-color: #0aa; box-shadow: 4px 4px 0px #0aa; }
-.pixel-button:active { box-shadow: 2px 2px 0px #0a0; }
-#game { position: relative; }
-#scores { position: absolute; top: 20px; left: 50%; transform: translateX(-50%); display: flex; gap: 4rem; z-index: 10; }
-.score { display: flex; gap: 0.5rem; }
-.score-ball { width: 16px; height: 16px; background: #0f0; border: 2px solid #0a0; box-shadow: 2px 2px 0px #0a0; }
-#gameCanvas { border: 4px solid #0f0; box-shadow: 0 0 20px #0f0; background: #000; }
-#winMessage { position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); padding: 2rem 4rem; background: rgba(0, 0, 0, 0.9); border: 4px solid #0f0; box-shadow: 0 0 30px #0f0; text-align: center; z-index: 20; display: flex; flex-direction: column; gap: 2rem; }
-#winText { font-size: 3rem; }
-.game-start-btn { position: absolute; bottom: 2rem; left: 50%; transform: translateX(-50%); z-index: 5; }
-#countdown { position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); font-size: 10rem; font-weight: bold; color: #0f0; text-shadow: 8px 8px 0px #0a0; z-index: 30; }
-    </style>
-</body>
-</html>`;
-}
-
-module.exports = { handleRequest };
\ No newline at end of file
+module.exports = { handleRequest, getSessionState, subscribeSession };
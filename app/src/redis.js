@@ -0,0 +1,330 @@
+// Redis connection shared by the session store, and the circuit breaker that
+// guards it.
+//
+// A dropped connection is re-established by node-redis in the background,
+// backing off exponentially between attempts. Until it is back, commands fail
+// straight away instead of queueing. Connecting is bounded by CONNECT_TIMEOUT
+// and each command the store sends by REDIS_COMMAND_TIMEOUT_MS, so a request
+// never hangs on Redis; time spent waiting in this process isn't counted.
+//
+// A read that times out is answered like any other outage (503, try again). A
+// write that times out may still be applied, so it is reported as such
+// (RedisWriteTimeoutError) rather than invited to be retried.
+//
+// The breaker counts operations that failed for want of Redis. After
+// FAILURE_THRESHOLD in a row it opens and requests are refused without trying
+// Redis, with a Retry-After of however long it stays open. Then it lets a single
+// probe operation through (half-open): success closes it, failure opens it again
+// for twice as long.
+
+const redis = require('redis');
+const { createLogger, withoutRequestContext } = require('./logger');
+const metrics = require('./metrics');
+
+const log = createLogger();
+
+const redisErrorsTotal = metrics.counter('pong_redis_errors_total', 'Redis client and connection errors');
+
+const CONNECT_TIMEOUT = 1500;
+const COMMAND_TIMEOUT = parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS, 10) || 1000;
+
+// Reconnect backoff (ms): doubles from the base up to the max, with jitter so
+// a fleet of instances doesn't reconnect in lockstep
+const RECONNECT_BASE_DELAY = 100;
+const RECONNECT_MAX_DELAY = 5000;
+
+const FAILURE_THRESHOLD = 3;
+const BREAKER_BASE_OPEN_TIME = 1000;
+const BREAKER_MAX_OPEN_TIME = 30000;
+
+class RedisUnavailableError extends Error {
+  // retryAfter: seconds until Redis is worth trying again
+  constructor(message, retryAfter = 1) {
+    super(message || 'Redis connection unavailable');
+    this.name = 'RedisUnavailableError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Errors that mean Redis couldn't be reached, as opposed to a command that ran
+// and failed (ErrorReply)
+const CONNECTION_ERRORS = [
+  redis.ConnectionTimeoutError,
+  redis.ClientClosedError,
+  redis.ClientOfflineError,
+  redis.DisconnectsClientError,
+  redis.SocketClosedUnexpectedlyError
+];
+
+// write: whether the command could change data, and so may still be applied
+class RedisTimeoutError extends Error {
+  constructor(timeout, write = false) {
+    super(`Redis did not answer within ${timeout}ms`);
+    this.name = 'RedisTimeoutError';
+    this.write = write;
+  }
+}
+
+// A write operation whose outcome is unknown: Redis didn't confirm it in time
+class RedisWriteTimeoutError extends Error {
+  constructor(message) {
+    super(message || 'Redis did not confirm the write in time; it may still be applied');
+    this.name = 'RedisWriteTimeoutError';
+  }
+}
+
+function isConnectionError(error) {
+  return error instanceof RedisUnavailableError ||
+    error instanceof RedisTimeoutError ||
+    CONNECTION_ERRORS.some((ErrorClass) => error instanceof ErrorClass) ||
+    ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EHOSTUNREACH', 'EPIPE'].includes(error.code);
+}
+
+const breaker = {
+  state: 'closed',
+  failures: 0,
+  openTime: BREAKER_BASE_OPEN_TIME,
+  openUntil: 0,
+  lastError: null
+};
+
+function secondsUntil(time) {
+  return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+}
+
+function openBreaker() {
+  breaker.state = 'open';
+  breaker.openUntil = Date.now() + breaker.openTime;
+  log.warn('Redis circuit breaker opened', { openMs: breaker.openTime, error: breaker.lastError });
+  breaker.openTime = Math.min(breaker.openTime * 2, BREAKER_MAX_OPEN_TIME);
+}
+
+function recordSuccess() {
+  if (breaker.state !== 'closed') {
+    log.info('Redis circuit breaker closed');
+  }
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.openTime = BREAKER_BASE_OPEN_TIME;
+  breaker.lastError = null;
+}
+
+function recordFailure(error) {
+  breaker.lastError = error.message;
+  // Commands already in flight when the breaker opened fail together; they
+  // neither reopen it nor extend how long it stays open
+  if (breaker.state === 'open') {
+    return;
+  }
+  breaker.failures++;
+  if (breaker.state === 'half-open' || breaker.failures >= FAILURE_THRESHOLD) {
+    openBreaker();
+  }
+}
+
+// Throws while the breaker is open. Once it has been open long enough, the
+// first caller goes through as the probe and the rest keep waiting.
+function checkBreaker() {
+  if (breaker.state === 'open' && Date.now() >= breaker.openUntil) {
+    breaker.state = 'half-open';
+    return;
+  }
+  if (breaker.state === 'open') {
+    throw new RedisUnavailableError(breaker.lastError, secondsUntil(breaker.openUntil));
+  }
+  if (breaker.state === 'half-open') {
+    throw new RedisUnavailableError(breaker.lastError, 1);
+  }
+}
+
+let redisClient = null;
+let connecting = null;
+
+function createRedisClient() {
+  const host = process.env.CONNECTION_REDIS_HOST || 'localhost';
+  const port = process.env.CONNECTION_REDIS_PORT || '6379';
+  const username = process.env.CONNECTION_REDIS_USERNAME || undefined;
+  const password = process.env.CONNECTION_REDIS_PASSWORD || undefined;
+  const useTls = process.env.CONNECTION_REDIS_TLS === 'true';
+
+  const config = {
+    socket: {
+      host: host,
+      port: parseInt(port, 10),
+      tls: useTls,
+      connectTimeout: CONNECT_TIMEOUT,
+      reconnectStrategy: (retries) => {
+        const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** retries, RECONNECT_MAX_DELAY);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+      }
+    },
+    // Fail commands while disconnected rather than holding them until Redis is back
+    disableOfflineQueue: true
+  };
+
+  // Add authentication if provided
+  if (username) {
+    config.username = username;
+  }
+  if (password) {
+    config.password = password;
+  }
+
+  const client = redis.createClient(config);
+
+  client.on('error', (err) => {
+    log.error('Redis client error', { error: err.message });
+    redisErrorsTotal.inc();
+  });
+
+  client.on('reconnecting', () => {
+    log.debug('Redis reconnecting');
+  });
+
+  client.on('ready', () => {
+    log.info('Redis connected');
+    // No need to wait out the breaker: let the next operation probe
+    if (breaker.state === 'open') {
+      breaker.openUntil = Date.now();
+    }
+  });
+
+  return client;
+}
+
+function withTimeout(promise, timeout, write = false) {
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new RedisTimeoutError(timeout, write)), timeout);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+// The client methods the session store sends commands through, and whether
+// each can change data. A MULTI's exec() counts as a write.
+const TIMED_COMMANDS = {
+  get: false,
+  zScore: false,
+  xRange: false,
+  ping: false,
+  setEx: true,
+  del: true,
+  getDel: true,
+  eval: true,
+  publish: true,
+  zAdd: true
+};
+
+function timedMulti(multi) {
+  const exec = multi.exec.bind(multi);
+  multi.exec = (...args) => withTimeout(exec(...args), COMMAND_TIMEOUT, true);
+  return multi;
+}
+
+const timedClients = new WeakMap();
+
+// The client with each command bounded by COMMAND_TIMEOUT; everything else
+// (duplicate, events, iterators) is passed through
+function timedClient(client) {
+  if (!timedClients.has(client)) {
+    timedClients.set(client, new Proxy(client, {
+      get(target, property) {
+        const value = Reflect.get(target, property, target);
+        if (property === 'multi') {
+          return () => timedMulti(target.multi());
+        }
+        if (typeof value !== 'function') {
+          return value;
+        }
+        if (!(property in TIMED_COMMANDS)) {
+          return value.bind(target);
+        }
+        return (...args) => withTimeout(value.apply(target, args), COMMAND_TIMEOUT, TIMED_COMMANDS[property]);
+      }
+    }));
+  }
+  return timedClients.get(client);
+}
+
+// The shared client. The first call connects; if that takes too long the client
+// keeps trying in the background and this call fails.
+async function getRedisClient() {
+  if (!redisClient) {
+    // Created outside the request, whose ID would otherwise tag all later client events
+    const client = withoutRequestContext(createRedisClient);
+    redisClient = client;
+    connecting = withoutRequestContext(() => client.connect())
+      .catch((err) => {
+        log.error('Redis connection failed', { error: err.message });
+        redisErrorsTotal.inc();
+        if (redisClient === client) {
+          redisClient = null;
+        }
+      })
+      .finally(() => {
+        connecting = null;
+      });
+  }
+
+  if (connecting) {
+    try {
+      await withTimeout(connecting, CONNECT_TIMEOUT);
+    } catch (err) {
+      throw new RedisUnavailableError(err.message);
+    }
+  }
+  if (!redisClient) {
+    throw new RedisUnavailableError('Unable to connect to Redis');
+  }
+  return redisClient;
+}
+
+// The shared client as the session store uses it, each command timed
+async function getStoreClient() {
+  return timedClient(await getRedisClient());
+}
+
+// Disconnect the shared client; the next operation connects again. For the
+// contract tests, whose process can't exit while the client reconnects.
+async function closeRedisClient() {
+  const client = redisClient;
+  redisClient = null;
+  if (client && client.isOpen) {
+    await client.disconnect();
+  }
+}
+
+// Run a store operation against Redis: refused while the breaker is open, and
+// counted toward the breaker if it fails for want of Redis (it couldn't connect,
+// or a command timed out). `write` says whether the operation changes data; if
+// one of its writes timed out, it fails with RedisWriteTimeoutError.
+async function runRedisCommand(operation, { write = false } = {}) {
+  checkBreaker();
+  try {
+    const result = await operation();
+    recordSuccess();
+    return result;
+  } catch (error) {
+    if (!isConnectionError(error)) {
+      // Redis answered; the failure is the caller's to handle
+      recordSuccess();
+      throw error;
+    }
+    recordFailure(error);
+    if (write && error instanceof RedisTimeoutError && error.write) {
+      throw new RedisWriteTimeoutError();
+    }
+    throw error instanceof RedisUnavailableError
+      ? error
+      : new RedisUnavailableError(error.message, breaker.state === 'open' ? secondsUntil(breaker.openUntil) : 1);
+  }
+}
+
+module.exports = {
+  getRedisClient,
+  getStoreClient,
+  closeRedisClient,
+  runRedisCommand,
+  RedisUnavailableError,
+  RedisWriteTimeoutError
+};
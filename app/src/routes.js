@@ -0,0 +1,100 @@
+// Versioned REST routes. Each one is another way to call an action: its path
+// parameters, query string (GET) or JSON body (other methods) and bearer token
+// are gathered into the same payload `POST ?action=` takes, and validated
+// against the same schema.
+//
+// Paths are matched on their end, so they also work under the /api prefix of
+// Azure Functions or an API Gateway stage.
+
+const ROUTES = [
+  { method: 'POST', path: '/v1/sessions', action: 'create', summary: 'Create a session and take seat 1' },
+  { method: 'GET', path: '/v1/sessions/{sessionId}', action: 'state', summary: 'Get the session state, or long-poll for changes' },
+  { method: 'POST', path: '/v1/sessions/{sessionId}/join', action: 'join', summary: 'Take seat 2' },
+  { method: 'POST', path: '/v1/sessions/{sessionId}/start', action: 'start', summary: 'Start the countdown' },
+  { method: 'POST', path: '/v1/sessions/{sessionId}/reset', action: 'reset', summary: 'Reset a finished game for a rematch' },
+  { method: 'POST', path: '/v1/sessions/{sessionId}/pause', action: 'pause', summary: 'Pause the game' },
+  { method: 'POST', path: '/v1/sessions/{sessionId}/resume', action: 'resume', summary: 'Resume a game paused by a player' },
+  { method: 'POST', path: '/v1/sessions/{sessionId}/forfeit', action: 'forfeit', summary: 'Forfeit the game' },
+  { method: 'PATCH', path: '/v1/sessions/{sessionId}/paddle', action: 'update', summary: 'Move your paddle' },
+  { method: 'GET', path: '/v1/sessions/{sessionId}/replay', action: 'replay', summary: 'Get the recorded frames of a session' },
+  { method: 'POST', path: '/v1/queue', action: 'queue', summary: 'Join or poll the matchmaking queue' },
+  { method: 'GET', path: '/v1/history', action: 'history', summary: 'List finished matches, newest first' },
+  { method: 'GET', path: '/v1/leaderboard', action: 'leaderboard', summary: 'List players by wins' }
+].map((route) => {
+  const params = [];
+  const source = route.path.replace(/\{(\w+)\}/g, (match, name) => {
+    params.push(name);
+    return '([^/]+)';
+  });
+  return { ...route, params, pattern: new RegExp(`${source}/?$`) };
+});
+
+// A badly escaped parameter is passed on as it is, for validation to reject
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// The route for a path. Resolves to { route, params } for the request's method,
+// { allowed } listing the methods the path does take, or null if no route has it.
+function matchRoute(method, pathname) {
+  const allowed = [];
+  for (const route of ROUTES) {
+    const match = pathname.match(route.pattern);
+    if (!match) continue;
+    if (route.method === method) {
+      const params = {};
+      route.params.forEach((name, i) => {
+        params[name] = decodeParam(match[i + 1]);
+      });
+      return { route, params };
+    }
+    allowed.push(route.method);
+  }
+  return allowed.length > 0 ? { allowed } : null;
+}
+
+// Query strings only carry strings; turn them into what the schema expects.
+// Anything that doesn't convert is left as it is for validation to reject.
+function queryValue(rule, value) {
+  if (!rule) return value;
+  if ((rule.type === 'integer' || rule.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+// Seat tokens may come as `Authorization: Bearer <token>`, which is the only
+// way to send one on a GET (query strings end up in access logs)
+function bearerToken(headers) {
+  const match = (headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : undefined;
+}
+
+// The action payload for a REST request (see http.js). Throws SyntaxError on a
+// malformed body.
+function routePayload(route, params, schema, request) {
+  let payload = {};
+  if (route.method === 'GET') {
+    request.query.forEach((value, name) => {
+      payload[name] = queryValue(schema[name], value);
+    });
+  } else if (request.body !== null && request.body.trim() !== '') {
+    payload = JSON.parse(request.body);
+  }
+
+  // Anything that isn't an object is left for validation to reject
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return payload;
+  }
+  const token = bearerToken(request.headers);
+  return { ...payload, ...(token !== undefined && { token }), ...params };
+}
+
+module.exports = { ROUTES, matchRoute, routePayload };
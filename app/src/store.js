@@ -0,0 +1,626 @@
+// Session stores - every backend exposes the same get/set/update/delete/subscribe
+// interface, plus the matchmaking queue (queueJoin/queueTouch/queuePopPair and
+// setMatch/takeMatch), finished matches (recordMatch/getHistory/getLeaderboard)
+// replay recordings (appendFrame, and getFrames a page at a time), rate limiting
+// token buckets (takeToken), and ping/countSessions for the readiness and
+// metrics routes.
+//
+// Every write bumps `session.version`, so clients can tell whether anything
+// changed and a writer that raced another one is never silently overwritten.
+// `session.fieldVersions` records the version each top-level field last changed
+// in, so readers can ask for only what changed since a version they have.
+// Every write is also published to the session's subscribers.
+
+const { EventEmitter } = require('events');
+const { createLogger } = require('./logger');
+
+const log = createLogger();
+
+// How many times update() re-runs a mutation that lost a race before giving up
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Match history keeps only the most recent matches; the leaderboard keeps every win
+const MAX_HISTORY = 1000;
+
+// Replay recordings keep the most recent frames of a session, for a day after its last frame
+const MAX_REPLAY_FRAMES = 20000;
+const REPLAY_TTL = 24 * 60 * 60;
+
+// How long the Redis store reuses a count of its sessions (ms)
+const SESSION_COUNT_MAX_AGE = 30000;
+
+// Token bucket refill, run atomically in Redis. KEYS[1] is the bucket; ARGV is
+// capacity, tokens per ms and now. Returns 0 if a token was taken, otherwise how
+// many ms until one is available. The key expires once the bucket would be full.
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'at')
+local tokens = tonumber(bucket[1]) or capacity
+local at = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - at) * rate)
+local wait = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+else
+  wait = math.ceil((1 - tokens) / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+return wait
+`;
+
+// Compare-and-set for update(), run atomically in Redis. KEYS[1] is the
+// session; ARGV is the session data the update read, the TTL, the new data and
+// the channel to publish it on. Returns 1 if written, 0 if the session changed
+// (or went away) since it was read.
+const UPDATE_SESSION_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+redis.call('SETEX', KEYS[1], ARGV[2], ARGV[3])
+redis.call('PUBLISH', ARGV[4], ARGV[3])
+return 1
+`;
+
+class SessionConflictError extends Error {
+  constructor(sessionId) {
+    super(`Session ${sessionId} is being updated concurrently, try again`);
+    this.name = 'SessionConflictError';
+  }
+}
+
+function bumpVersion(sessionData, previous) {
+  const version = (sessionData.version || 0) + 1;
+  const fieldVersions = { ...sessionData.fieldVersions };
+
+  for (const field of Object.keys(sessionData)) {
+    if (field === 'version' || field === 'fieldVersions') {
+      continue;
+    }
+    if (!previous || JSON.stringify(previous[field]) !== JSON.stringify(sessionData[field])) {
+      fieldVersions[field] = version;
+    }
+  }
+
+  sessionData.version = version;
+  sessionData.fieldVersions = fieldVersions;
+}
+
+// Store operations that never change data, so `run` can tell them from writes
+const READ_OPERATIONS = new Set(['get', 'subscribe', 'getHistory', 'getLeaderboard', 'getFrames', 'ping']);
+
+// Store operations that skip `run`: the metrics scrape's session count neither
+// counts toward the circuit breaker nor is refused by it
+const UNGUARDED_OPERATIONS = new Set(['countSessions']);
+
+// Redis-backed store, shared by every replica. Writes are published on a
+// per-session channel so whichever replica holds a subscriber can fan them out.
+// Every operation but countSessions goes through `run` (with whether it writes),
+// which can guard Redis with a circuit breaker (see redis.js).
+function createRedisStore({ getClient, ttl, run = (operation) => operation() }) {
+  let subscriberPromise = null;
+
+  // key -> the last operation queued by inTurn() for it
+  const turns = new Map();
+
+  // The last session count ({ value, takenAt }) and the scan in progress, if any
+  let sessionCount = null;
+  let counting = null;
+
+  // Run `work` once every operation queued before it for the key has settled
+  function inTurn(key, work) {
+    const previous = turns.get(key) || Promise.resolve();
+    const result = previous.then(work);
+    const settled = result.catch(() => {});
+    turns.set(key, settled);
+    settled.then(() => {
+      if (turns.get(key) === settled) {
+        turns.delete(key);
+      }
+    });
+    return result;
+  }
+
+  function channel(sessionId) {
+    return `session-events:${sessionId}`;
+  }
+
+  async function publish(client, sessionId, data) {
+    await client.publish(channel(sessionId), data);
+  }
+
+  // Subscribed connections can't run other commands, so all subscriptions share
+  // one dedicated connection
+  function getSubscriber() {
+    if (!subscriberPromise) {
+      subscriberPromise = (async () => {
+        const client = await getClient();
+        const subscriber = client.duplicate();
+        subscriber.on('error', (err) => {
+          log.error('Redis subscriber error', { error: err });
+        });
+        // It goes with the client it was duplicated from
+        client.once('end', () => {
+          subscriberPromise = null;
+          if (subscriber.isOpen) {
+            subscriber.disconnect().catch(() => {});
+          }
+        });
+        await subscriber.connect();
+        return subscriber;
+      })().catch((err) => {
+        subscriberPromise = null;
+        throw err;
+      });
+    }
+    return subscriberPromise;
+  }
+
+  const store = {
+    name: 'redis',
+
+    async get(sessionId) {
+      const client = await getClient();
+      const data = await client.get(`session:${sessionId}`);
+      return data ? JSON.parse(data) : null;
+    },
+
+    async set(sessionId, sessionData) {
+      const client = await getClient();
+      bumpVersion(sessionData);
+      const data = JSON.stringify(sessionData);
+      await client.setEx(`session:${sessionId}`, ttl, data);
+      await publish(client, sessionId, data);
+    },
+
+    // Optimistic read-modify-write: read the session, run `mutate` on it and
+    // write it back only if nobody else did in between (UPDATE_SESSION_SCRIPT).
+    // If someone did, the mutation is re-run on the fresh data. `mutate` returns
+    // false to skip the write. Resolves to the resulting session, or null if
+    // missing. Updates to one session from this process take turns, since they
+    // would only lose races to each other; other sessions aren't held up.
+    async update(sessionId, mutate) {
+      const client = await getClient();
+      const key = `session:${sessionId}`;
+
+      return inTurn(key, async () => {
+        for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+          const data = await client.get(key);
+          if (!data) {
+            return null;
+          }
+
+          const sessionData = JSON.parse(data);
+          if (mutate(sessionData) === false) {
+            return sessionData;
+          }
+          bumpVersion(sessionData, JSON.parse(data));
+
+          const written = await client.eval(UPDATE_SESSION_SCRIPT, {
+            keys: [key],
+            arguments: [data, String(ttl), JSON.stringify(sessionData), channel(sessionId)]
+          });
+          if (written === 1) {
+            return sessionData;
+          }
+        }
+        throw new SessionConflictError(sessionId);
+      });
+    },
+
+    async delete(sessionId) {
+      const client = await getClient();
+      await client.del(`session:${sessionId}`);
+    },
+
+    // Calls listener(sessionData) after every write to the session, from any
+    // replica. Resolves to an async unsubscribe function.
+    async subscribe(sessionId, listener) {
+      const subscriber = await getSubscriber();
+      const onMessage = (message) => listener(JSON.parse(message));
+      await subscriber.subscribe(channel(sessionId), onMessage);
+      return async () => {
+        await subscriber.unsubscribe(channel(sessionId), onMessage);
+      };
+    },
+
+    // Take a token from a rate limiting bucket holding up to `capacity` tokens
+    // and refilling at `rate` tokens per ms. Resolves to 0 if one was taken,
+    // otherwise the ms until one will be available.
+    async takeToken(bucket, capacity, rate, now) {
+      const client = await getClient();
+      return client.eval(TAKE_TOKEN_SCRIPT, {
+        keys: [`ratelimit:${bucket}`],
+        arguments: [String(capacity), String(rate), String(now)]
+      });
+    },
+
+    // Matchmaking queue: a sorted set of tickets scored by when they last polled
+    async queueJoin(ticket, now) {
+      const client = await getClient();
+      await client.zAdd('queue:waiting', { score: now, value: ticket });
+    },
+
+    // Refresh a waiting ticket. Resolves to false if it is no longer queued.
+    async queueTouch(ticket, now) {
+      const client = await getClient();
+      if ((await client.zScore('queue:waiting', ticket)) === null) {
+        return false;
+      }
+      // XX: never re-add a ticket that was paired in the meantime
+      await client.zAdd('queue:waiting', { score: now, value: ticket }, { XX: true });
+      return true;
+    },
+
+    // Drop tickets not seen since staleBefore, then take two waiting tickets.
+    // Resolves to [ticket, ticket] or null if fewer than two are waiting.
+    async queuePopPair(staleBefore) {
+      const client = await getClient();
+      const [, popped] = await client.multi()
+        .zRemRangeByScore('queue:waiting', '-inf', staleBefore)
+        .zPopMinCount('queue:waiting', 2)
+        .exec();
+
+      if (popped.length < 2) {
+        // Put a lone ticket back for the next poll
+        for (const entry of popped) {
+          await client.zAdd('queue:waiting', entry);
+        }
+        return null;
+      }
+      return popped.map((entry) => entry.value);
+    },
+
+    async setMatch(ticket, match, matchTtl) {
+      const client = await getClient();
+      await client.setEx(`queue:match:${ticket}`, matchTtl, JSON.stringify(match));
+    },
+
+    // Read and remove the match waiting for a ticket, or null
+    async takeMatch(ticket) {
+      const client = await getClient();
+      const data = await client.getDel(`queue:match:${ticket}`);
+      return data ? JSON.parse(data) : null;
+    },
+
+    // Finished matches: a capped list, newest first, and a sorted set of wins per
+    // name. Only ranked matches credit the winner.
+    async recordMatch(match, ranked) {
+      const client = await getClient();
+      const transaction = client.multi()
+        .lPush('matches:history', JSON.stringify(match))
+        .lTrim('matches:history', 0, MAX_HISTORY - 1);
+      if (ranked) {
+        transaction.zIncrBy('matches:leaderboard', 1, match.winnerName);
+      }
+      await transaction.exec();
+    },
+
+    // Resolves to { matches, total }
+    async getHistory(offset, limit) {
+      const client = await getClient();
+      const [items, total] = await client.multi()
+        .lRange('matches:history', offset, offset + limit - 1)
+        .lLen('matches:history')
+        .exec();
+      return { matches: items.map((item) => JSON.parse(item)), total };
+    },
+
+    // Resolves to { entries: [{ name, wins }], total }, most wins first
+    async getLeaderboard(offset, limit) {
+      const client = await getClient();
+      const [entries, total] = await client.multi()
+        .zRangeWithScores('matches:leaderboard', offset, offset + limit - 1, { REV: true })
+        .zCard('matches:leaderboard')
+        .exec();
+      return { entries: entries.map((entry) => ({ name: entry.value, wins: entry.score })), total };
+    },
+
+    // Replay recordings: a capped stream per session
+    async appendFrame(sessionId, frame) {
+      const client = await getClient();
+      const key = `replay:${sessionId}`;
+      await client.multi()
+        .xAdd(key, '*', { frame: JSON.stringify(frame) }, {
+          TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: MAX_REPLAY_FRAMES }
+        })
+        .expire(key, REPLAY_TTL)
+        .exec();
+    },
+
+    async ping() {
+      const client = await getClient();
+      await client.ping();
+    },
+
+    // Walks the keyspace, so a scan's count is reused for SESSION_COUNT_MAX_AGE
+    // and scrapes that arrive during a scan wait for it
+    async countSessions() {
+      if (sessionCount && Date.now() - sessionCount.takenAt < SESSION_COUNT_MAX_AGE) {
+        return sessionCount.value;
+      }
+      if (!counting) {
+        counting = (async () => {
+          const client = await getClient();
+          let count = 0;
+          for await (const key of client.scanIterator({ MATCH: 'session:*', COUNT: 1000 })) {
+            count++;
+          }
+          sessionCount = { value: count, takenAt: Date.now() };
+          return count;
+        })().finally(() => {
+          counting = null;
+        });
+      }
+      return counting;
+    },
+
+    // Resolves to up to `limit` of the session's frames after the cursor `after`
+    // (from the first if null), oldest first, and `next`: the cursor for the
+    // frames after those, or null if there are none. Cursors are stream IDs.
+    async getFrames(sessionId, after, limit) {
+      const client = await getClient();
+      const entries = await client.xRange(`replay:${sessionId}`, after ? `(${after}` : '-', '+', { COUNT: limit + 1 });
+      const page = entries.slice(0, limit);
+      return {
+        frames: page.map((entry) => JSON.parse(entry.message.frame)),
+        next: entries.length > limit ? page[page.length - 1].id : null
+      };
+    }
+  };
+
+  Object.keys(store).forEach((key) => {
+    if (typeof store[key] === 'function' && !UNGUARDED_OPERATIONS.has(key)) {
+      const operation = store[key];
+      store[key] = (...args) => run(() => operation(...args), { write: !READ_OPERATIONS.has(key) });
+    }
+  });
+  return store;
+}
+
+// In-process store for local development and tests - state is lost on restart
+// and is not shared between processes
+function createMemoryStore({ ttl }) {
+  const sessions = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  // Matchmaking: ticket -> last poll time (insertion order is queue order), and
+  // ticket -> { data, expiresAt } for matches not yet picked up
+  const waiting = new Map();
+  const matches = new Map();
+  // Finished matches, newest first, and name -> wins
+  const history = [];
+  const wins = new Map();
+  // sessionId -> { frames, expiresAt }
+  const replays = new Map();
+  // Rate limiting: bucket -> { tokens, at, expiresAt }
+  const buckets = new Map();
+
+  function read(sessionId) {
+    const entry = sessions.get(sessionId);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    return entry;
+  }
+
+  // Drop expired sessions nobody asked for again
+  function sweep() {
+    const now = Date.now();
+    for (const [sessionId, entry] of sessions) {
+      if (entry.expiresAt <= now) {
+        sessions.delete(sessionId);
+      }
+    }
+  }
+
+  // Drop buckets that have refilled; a missing bucket is a full one
+  function sweepBuckets(now) {
+    for (const [bucket, entry] of buckets) {
+      if (entry.expiresAt <= now) {
+        buckets.delete(bucket);
+      }
+    }
+  }
+
+  function write(sessionId, sessionData, previous) {
+    bumpVersion(sessionData, previous);
+    const data = JSON.stringify(sessionData);
+    sessions.set(sessionId, {
+      data,
+      expiresAt: Date.now() + ttl * 1000
+    });
+    events.emit(sessionId, data);
+  }
+
+  return {
+    name: 'memory',
+
+    async get(sessionId) {
+      const entry = read(sessionId);
+      // Hand out a copy so callers behave the same as with a serialized store
+      return entry ? JSON.parse(entry.data) : null;
+    },
+
+    async set(sessionId, sessionData) {
+      sweep();
+      write(sessionId, sessionData);
+    },
+
+    // Read, mutate and write without yielding, so no other request can interleave
+    async update(sessionId, mutate) {
+      const entry = read(sessionId);
+      if (!entry) {
+        return null;
+      }
+
+      const sessionData = JSON.parse(entry.data);
+      if (mutate(sessionData) !== false) {
+        write(sessionId, sessionData, JSON.parse(entry.data));
+      }
+      return sessionData;
+    },
+
+    async delete(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async subscribe(sessionId, listener) {
+      const onWrite = (data) => listener(JSON.parse(data));
+      events.on(sessionId, onWrite);
+      return async () => {
+        events.off(sessionId, onWrite);
+      };
+    },
+
+    async takeToken(bucket, capacity, rate, now) {
+      let entry = buckets.get(bucket);
+      if (!entry || entry.expiresAt <= now) {
+        sweepBuckets(now);
+        entry = { tokens: capacity, at: now };
+        buckets.set(bucket, entry);
+      }
+      entry.tokens = Math.min(capacity, entry.tokens + Math.max(0, now - entry.at) * rate);
+      entry.at = now;
+
+      let wait = 0;
+      if (entry.tokens >= 1) {
+        entry.tokens--;
+      } else {
+        wait = Math.ceil((1 - entry.tokens) / rate);
+      }
+      entry.expiresAt = now + Math.ceil((capacity - entry.tokens) / rate) + 1000;
+      return wait;
+    },
+
+    async queueJoin(ticket, now) {
+      waiting.set(ticket, now);
+    },
+
+    async queueTouch(ticket, now) {
+      if (!waiting.has(ticket)) {
+        return false;
+      }
+      waiting.set(ticket, now);
+      return true;
+    },
+
+    async queuePopPair(staleBefore) {
+      for (const [ticket, lastSeen] of waiting) {
+        if (lastSeen <= staleBefore) {
+          waiting.delete(ticket);
+        }
+      }
+      if (waiting.size < 2) {
+        return null;
+      }
+      const pair = [...waiting.keys()].slice(0, 2);
+      pair.forEach((ticket) => waiting.delete(ticket));
+      return pair;
+    },
+
+    async setMatch(ticket, match, matchTtl) {
+      const now = Date.now();
+      for (const [key, entry] of matches) {
+        if (entry.expiresAt <= now) {
+          matches.delete(key);
+        }
+      }
+      matches.set(ticket, { data: JSON.stringify(match), expiresAt: now + matchTtl * 1000 });
+    },
+
+    async takeMatch(ticket) {
+      const entry = matches.get(ticket);
+      matches.delete(ticket);
+      return entry && entry.expiresAt > Date.now() ? JSON.parse(entry.data) : null;
+    },
+
+    async recordMatch(match, ranked) {
+      history.unshift(JSON.stringify(match));
+      history.length = Math.min(history.length, MAX_HISTORY);
+      if (ranked) {
+        wins.set(match.winnerName, (wins.get(match.winnerName) || 0) + 1);
+      }
+    },
+
+    async getHistory(offset, limit) {
+      return {
+        matches: history.slice(offset, offset + limit).map((item) => JSON.parse(item)),
+        total: history.length
+      };
+    },
+
+    async getLeaderboard(offset, limit) {
+      // Same order as ZRANGE ... REV: most wins first, ties by name descending
+      const ranked = [...wins.entries()]
+        .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? 1 : a[0] > b[0] ? -1 : 0))
+        .map(([name, count]) => ({ name, wins: count }));
+      return { entries: ranked.slice(offset, offset + limit), total: ranked.length };
+    },
+
+    async appendFrame(sessionId, frame) {
+      const now = Date.now();
+      let replay = replays.get(sessionId);
+      if (!replay || replay.expiresAt <= now) {
+        for (const [key, entry] of replays) {
+          if (entry.expiresAt <= now) {
+            replays.delete(key);
+          }
+        }
+        replay = { frames: [], lastId: 0 };
+        replays.set(sessionId, replay);
+      }
+      replay.lastId++;
+      replay.frames.push({ id: replay.lastId, frame: JSON.stringify(frame) });
+      if (replay.frames.length > MAX_REPLAY_FRAMES) {
+        replay.frames.shift();
+      }
+      replay.expiresAt = now + REPLAY_TTL * 1000;
+    },
+
+    async ping() {},
+
+    async countSessions() {
+      sweep();
+      return sessions.size;
+    },
+
+    // Cursors are the frames' sequence numbers
+    async getFrames(sessionId, after, limit) {
+      const replay = replays.get(sessionId);
+      if (!replay || replay.expiresAt <= Date.now()) {
+        replays.delete(sessionId);
+        return { frames: [], next: null };
+      }
+      const start = after ? replay.frames.findIndex((entry) => entry.id > Number(after)) : 0;
+      const page = start === -1 ? [] : replay.frames.slice(start, start + limit);
+      const more = start !== -1 && start + limit < replay.frames.length;
+      return {
+        frames: page.map((entry) => JSON.parse(entry.frame)),
+        next: more ? String(page[page.length - 1].id) : null
+      };
+    }
+  };
+}
+
+// Pick the backend named by SESSION_STORE (default: redis)
+function createSessionStore({ getClient, ttl, run }) {
+  const backend = (process.env.SESSION_STORE || 'redis').toLowerCase();
+
+  switch (backend) {
+    case 'redis':
+      return createRedisStore({ getClient, ttl, run });
+    case 'memory':
+      return createMemoryStore({ ttl });
+    default:
+      throw new Error(`Unknown SESSION_STORE "${backend}" (expected "redis" or "memory")`);
+  }
+}
+
+module.exports = { createSessionStore, createRedisStore, createMemoryStore, SessionConflictError };
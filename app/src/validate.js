@@ -0,0 +1,126 @@
+// Declarative validation for action payloads
+//
+// A schema maps each allowed field to a rule:
+//   type       'string' | 'number' | 'integer' | 'boolean' | 'object'
+//   required   reject the payload when the field is missing
+//   enum       list of allowed values
+//   min, max   numeric range; with clamp: true out-of-range numbers are pulled
+//              into the range instead of rejected
+//   maxLength  longest allowed string
+//   pattern    RegExp a string must match
+//   properties nested schema for type 'object'
+//
+// Fields not named in the schema are rejected.
+
+function describe(rule) {
+  return rule.type === 'integer' ? 'an integer' : rule.type === 'object' ? 'an object' : `a ${rule.type}`;
+}
+
+function checkValue(rule, value, field, errors) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push({ field, message: 'must be a string' });
+        return undefined;
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+        return undefined;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push({ field, message: 'has an invalid format' });
+        return undefined;
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        errors.push({ field, message: `must be ${describe(rule)}` });
+        return undefined;
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        if (!rule.clamp) {
+          errors.push({ field, message: `must be at least ${rule.min}` });
+          return undefined;
+        }
+        value = rule.min;
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        if (!rule.clamp) {
+          errors.push({ field, message: `must be at most ${rule.max}` });
+          return undefined;
+        }
+        value = rule.max;
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push({ field, message: 'must be a boolean' });
+        return undefined;
+      }
+      break;
+
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field, message: 'must be an object' });
+        return undefined;
+      }
+      return checkFields(rule.properties || {}, value, `${field}.`, errors);
+
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${rule.enum.join(', ')}` });
+    return undefined;
+  }
+
+  return value;
+}
+
+function checkFields(schema, input, prefix, errors) {
+  const value = {};
+
+  for (const field of Object.keys(input)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      errors.push({ field: prefix + field, message: 'is not allowed' });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (input[field] === undefined) {
+      if (rule.required) {
+        errors.push({ field: prefix + field, message: 'is required' });
+      }
+      continue;
+    }
+    const checked = checkValue(rule, input[field], prefix + field, errors);
+    if (checked !== undefined) {
+      value[field] = checked;
+    }
+  }
+
+  return value;
+}
+
+// Returns { value, errors }. `value` holds only the declared fields, with numbers
+// clamped where the schema allows it; `errors` lists { field, message } entries.
+function validate(schema, input) {
+  const errors = [];
+
+  if (input === null || input === undefined) {
+    input = {};
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    errors.push({ field: '(body)', message: 'must be a JSON object' });
+    return { value: null, errors };
+  }
+
+  const value = checkFields(schema, input, '', errors);
+  return { value, errors };
+}
+
+module.exports = { validate };
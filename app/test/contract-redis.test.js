@@ -0,0 +1,165 @@
+// The contract suite (contract.js) with sessions in the Redis store, against
+// the in-process stand-in (redis-server.js), plus the store operations the
+// suite can't reach through the API: racing and concurrent updates, the rate
+// limit script, matchmaking, the session count and command timeouts.
+
+Object.assign(process.env, {
+  SESSION_STORE: 'redis',
+  CONNECTION_REDIS_HOST: '127.0.0.1',
+  // The flow polls faster than a real client; limits are not under test here
+  RATE_LIMIT: 'off',
+  // Short, so the timeout test is quick; waiting in turn mustn't count toward it
+  REDIS_COMMAND_TIMEOUT_MS: '300',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent'
+});
+
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const { createRedisServer } = require('./redis-server');
+const { contractSuite } = require('./contract');
+const {
+  getRedisClient,
+  getStoreClient,
+  closeRedisClient,
+  runRedisCommand,
+  RedisUnavailableError,
+  RedisWriteTimeoutError
+} = require('../src/redis');
+const { createRedisStore, SessionConflictError } = require('../src/store');
+
+const redisServer = createRedisServer();
+
+// Before any transport starts, so the spawned servers get the port too
+before(async () => {
+  process.env.CONNECTION_REDIS_PORT = String(await redisServer.listen());
+});
+
+after(async () => {
+  await closeRedisClient();
+  await redisServer.close();
+});
+
+contractSuite({ store: 'redis' });
+
+describe('Redis store', () => {
+  const store = createRedisStore({ getClient: getStoreClient, ttl: 60, run: runRedisCommand });
+
+  // The shared client, except that another writer changes the session between
+  // an update's GET and its write, `times` times over
+  function racingStore(times) {
+    let writes = 0;
+    async function getClient() {
+      const client = await getRedisClient();
+      return {
+        async get(key) {
+          const data = await client.get(key);
+          if (data && writes < times) {
+            writes++;
+            await client.setEx(key, 60, JSON.stringify({ ...JSON.parse(data), otherWrites: writes }));
+          }
+          return data;
+        },
+        eval: (script, options) => client.eval(script, options)
+      };
+    }
+    return createRedisStore({ getClient, ttl: 60, run: runRedisCommand });
+  }
+
+  it('re-runs an update that loses a race', async () => {
+    await store.set('racing', { count: 0 });
+    let runs = 0;
+    const session = await racingStore(2).update('racing', (current) => {
+      runs++;
+      current.count++;
+    });
+    assert.equal(runs, 3);
+    assert.equal(session.count, 1);
+    assert.equal((await store.get('racing')).count, 1);
+  });
+
+  it('runs concurrent updates to different sessions side by side', async () => {
+    redisServer.setLatency(10);
+    try {
+      const sessionIds = Array.from({ length: 20 }, (_, i) => `concurrent-${i}`);
+      await Promise.all(sessionIds.map((sessionId) => store.set(sessionId, { count: 0 })));
+
+      // One update to each session, and 20 more piling onto the first
+      const started = Date.now();
+      const increment = (sessionId) => store.update(sessionId, (current) => {
+        current.count++;
+      }).then(() => Date.now() - started);
+      const results = await Promise.allSettled([
+        ...sessionIds.map(increment),
+        ...sessionIds.map(() => increment(sessionIds[0]))
+      ]);
+
+      assert.deepEqual(results.filter((result) => result.status === 'rejected').map((result) => result.reason.message), []);
+      assert.equal((await store.get(sessionIds[0])).count, 21);
+      assert.equal((await store.get(sessionIds[19])).count, 1);
+      // Two round trips each, not queued behind the pile on the first session
+      const slowest = Math.max(...results.slice(1, 20).map((result) => result.value));
+      assert.ok(slowest < 500, `updates to other sessions took up to ${slowest}ms`);
+    } finally {
+      redisServer.setLatency(0);
+    }
+  });
+
+  it('gives up on an update that keeps losing', async () => {
+    await store.set('contended', { count: 0 });
+    await assert.rejects(
+      racingStore(Infinity).update('contended', (current) => {
+        current.count++;
+      }),
+      SessionConflictError
+    );
+    assert.equal((await store.get('contended')).count, 0);
+  });
+
+  it('takes tokens until the bucket is empty', async () => {
+    const now = Date.now();
+    assert.equal(await store.takeToken('contract', 2, 0.001, now), 0);
+    assert.equal(await store.takeToken('contract', 2, 0.001, now), 0);
+    // Empty: one token refills in 1000ms at 0.001 per ms
+    assert.equal(await store.takeToken('contract', 2, 0.001, now), 1000);
+    assert.equal(await store.takeToken('contract', 2, 0.001, now + 1000), 0);
+  });
+
+  it('pairs queued tickets in order', async () => {
+    const now = Date.now();
+    await store.queueJoin('first', now);
+    assert.equal(await store.queuePopPair(now - 1000), null);
+    assert.equal(await store.queueTouch('first', now + 1), true);
+    await store.queueJoin('second', now + 2);
+    assert.deepEqual(await store.queuePopPair(now - 1000), ['first', 'second']);
+    assert.equal(await store.queueTouch('first', now + 3), false);
+  });
+
+  it('counts sessions off the breaker, reusing a recent count', async () => {
+    // As if the breaker were open
+    const refused = createRedisStore({
+      getClient: getStoreClient,
+      ttl: 60,
+      run: () => Promise.reject(new RedisUnavailableError())
+    });
+    await store.set('counted', { count: 0 });
+    const count = await refused.countSessions();
+    assert.ok(count >= 1);
+
+    await store.set('counted-later', { count: 0 });
+    assert.equal(await refused.countSessions(), count);
+  });
+
+  it('fails a read that times out as unavailable, and a write as unconfirmed', async () => {
+    await store.set('slow', { count: 0 });
+    redisServer.setLatency(400);
+    try {
+      await assert.rejects(store.get('slow'), RedisUnavailableError);
+      await assert.rejects(store.set('slow', { count: 1 }), RedisWriteTimeoutError);
+      // Let the delayed write arrive
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    } finally {
+      redisServer.setLatency(0);
+    }
+    assert.equal((await store.get('slow')).count, 1);
+  });
+});
@@ -0,0 +1,281 @@
+// The contract suite shared by contract.test.js (in-memory store) and
+// contract-redis.test.js (Redis store): one behavior suite, run against
+// handleRequest and through every adapter (see transports.js). The entry files
+// set the environment before this is loaded.
+
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const zlib = require('zlib');
+const { TRANSPORTS } = require('./transports');
+
+// The countdown runs for three seconds; allow for a slow machine
+const COUNTDOWN_DEADLINE = 8000;
+
+function json(response) {
+  return JSON.parse(response.body.toString('utf8'));
+}
+
+// `store` is the session store the entry file picked, as /readyz reports it
+function contractSuite({ store }) {
+  for (const transport of TRANSPORTS) {
+    describe(transport.name, () => {
+      let connection;
+
+      before(async () => {
+        connection = await transport.start();
+      });
+
+      after(async () => {
+        if (connection && connection.close) {
+          await connection.close();
+        }
+      });
+
+      function send(request) {
+        return connection.send(request);
+      }
+
+      async function action(name, body, headers = {}) {
+        const response = await send({
+          method: 'POST',
+          path: `/?action=${name}`,
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: JSON.stringify(body)
+        });
+        return { response, data: json(response) };
+      }
+
+      async function createGame() {
+        const created = await action('create', { name: 'Ada' });
+        assert.equal(created.response.status, 200, created.response.body.toString());
+        const joined = await action('join', { sessionId: created.data.sessionId, name: 'Grace' });
+        assert.equal(joined.response.status, 200, joined.response.body.toString());
+        return {
+          sessionId: created.data.sessionId,
+          p1: { player: 1, token: created.data.token },
+          p2: { player: 2, token: joined.data.token }
+        };
+      }
+
+      async function fullState(game, seat) {
+        const { response, data } = await action('state', { sessionId: game.sessionId, ...seat });
+        assert.equal(response.status, 200, response.body.toString());
+        return data.state;
+      }
+
+      it('plays create -> join -> start -> countdown -> update -> state -> forfeit -> reset', async () => {
+        const created = await action('create', { name: 'Ada' });
+        assert.equal(created.response.status, 200);
+        assert.equal(created.data.success, true);
+        assert.equal(created.data.player, 1);
+        assert.match(created.data.sessionId, /^[a-z0-9]+$/);
+        const game = { sessionId: created.data.sessionId, p1: { player: 1, token: created.data.token } };
+
+        const joined = await action('join', { sessionId: game.sessionId, name: 'Grace' });
+        assert.equal(joined.response.status, 200);
+        assert.equal(joined.data.player, 2);
+        assert.notEqual(joined.data.token, game.p1.token);
+        game.p2 = { player: 2, token: joined.data.token };
+
+        const started = await action('start', { sessionId: game.sessionId, ...game.p1 });
+        assert.equal(started.response.status, 200);
+
+        let state = await fullState(game, game.p1);
+        assert.equal(state.countdownActive, true);
+        assert.ok(state.countdownValue >= 1 && state.countdownValue <= 3, `countdown at ${state.countdownValue}`);
+        assert.equal(state.p1Connected, true);
+        assert.equal(state.p2Connected, true);
+
+        // Long-poll through the countdown, heartbeating both seats as clients do
+        const deadline = Date.now() + COUNTDOWN_DEADLINE;
+        while (state.countdownActive) {
+          assert.ok(Date.now() < deadline, 'countdown did not finish');
+          await action('update', { sessionId: game.sessionId, ...game.p2 });
+          const polled = await action('state', {
+            sessionId: game.sessionId,
+            ...game.p1,
+            sinceVersion: state.version,
+            waitMs: 1000
+          });
+          assert.equal(polled.response.status, 200);
+          if (polled.data.changed) {
+            state = { ...state, ...polled.data.delta, version: polled.data.version };
+          }
+        }
+        assert.equal(state.gameStarted, true);
+
+        const updated = await action('update', { sessionId: game.sessionId, ...game.p2, paddleY: 200 });
+        assert.equal(updated.response.status, 200);
+        assert.ok(updated.data.version > state.version);
+
+        // The ball may have moved on since, so the version only has to have caught up
+        state = await fullState(game, game.p1);
+        assert.equal(state.p2Y, 200);
+        assert.ok(state.version >= updated.data.version);
+
+        const forfeited = await action('forfeit', { sessionId: game.sessionId, ...game.p2 });
+        assert.equal(forfeited.response.status, 200);
+        const reset = await action('reset', { sessionId: game.sessionId, ...game.p1 });
+        assert.equal(reset.response.status, 200);
+        state = await fullState(game, game.p1);
+        assert.equal(state.countdownActive, true);
+        assert.equal(state.p1Score, 0);
+        assert.equal(state.p2Score, 0);
+        assert.equal(state.winner, null);
+      });
+
+      it('rejects a wrong seat token', async () => {
+        const game = await createGame();
+        const { response, data } = await action('start', { sessionId: game.sessionId, player: 1, token: game.p2.token });
+        assert.equal(response.status, 403);
+        assert.equal(data.success, false);
+      });
+
+      it('refuses to start a game already in progress', async () => {
+        const game = await createGame();
+        const started = await action('start', { sessionId: game.sessionId, ...game.p1 });
+        assert.equal(started.response.status, 200);
+        const { response, data } = await action('start', { sessionId: game.sessionId, ...game.p2 });
+        assert.equal(response.status, 409);
+        assert.equal(data.success, false);
+      });
+
+      it('refuses to reset a game in progress', async () => {
+        const game = await createGame();
+        const started = await action('start', { sessionId: game.sessionId, ...game.p1 });
+        assert.equal(started.response.status, 200);
+        const { response, data } = await action('reset', { sessionId: game.sessionId, ...game.p2 });
+        assert.equal(response.status, 409);
+        assert.equal(data.success, false);
+      });
+
+      it('records paddle updates at a fixed rate and marks each run in the replay', async () => {
+        const game = await createGame();
+        assert.equal((await action('start', { sessionId: game.sessionId, ...game.p1 })).response.status, 200);
+        const startedAt = Date.now();
+        for (let i = 0; i < 10; i++) {
+          await action('update', { sessionId: game.sessionId, ...game.p1, paddleY: 100 + i * 10 });
+        }
+        const elapsed = Date.now() - startedAt;
+        assert.equal((await action('forfeit', { sessionId: game.sessionId, ...game.p2 })).response.status, 200);
+        assert.equal((await action('reset', { sessionId: game.sessionId, ...game.p1 })).response.status, 200);
+
+        // A page at a time, two frames to a page
+        const frames = [];
+        let after;
+        do {
+          const { response, data } = await action('replay', { sessionId: game.sessionId, after, limit: 2 });
+          assert.equal(response.status, 200);
+          assert.ok(data.frames.length <= 2);
+          frames.push(...data.frames);
+          after = data.next;
+        } while (after);
+
+        // The countdown starting, the paddle at most every 100ms, the forfeit and the reset
+        const updates = frames.filter((frame) => frame.kind === 'update');
+        assert.ok(updates.length <= Math.ceil(elapsed / 100) + 1, `${updates.length} update frames in ${elapsed}ms`);
+        // (the countdown may have ticked down during the updates)
+        const others = frames.map((frame) => frame.kind).filter((kind) => kind !== 'update');
+        assert.deepEqual(others.slice(-2), ['end', 'reset']);
+        assert.ok(others.length > 2 && others.slice(0, -2).every((kind) => kind === 'countdown'), others.join());
+        assert.deepEqual(frames.map((frame) => frame.run), [...frames.slice(0, -1).map(() => 1), 2]);
+        assert.ok(frames.every((frame, i) => i === 0 || frame.t >= frames[i - 1].t));
+      });
+
+      it('answers 404 for a session with no replay', async () => {
+        const { response, data } = await action('replay', { sessionId: 'norecording' });
+        assert.equal(response.status, 404);
+        assert.equal(data.success, false);
+      });
+
+      it('rejects a malformed JSON body', async () => {
+        const response = await send({
+          method: 'POST',
+          path: '/?action=create',
+          headers: { 'Content-Type': 'application/json' },
+          body: '{"name": '
+        });
+        assert.equal(response.status, 400);
+        // The Functions Framework parses JSON bodies itself and answers with its own page
+        if (/^application\/json/.test(response.headers['content-type'])) {
+          assert.equal(json(response).error, 'Malformed JSON body');
+        }
+      });
+
+      it('answers 400 for a URL it cannot parse', { skip: !transport.overHttp }, async () => {
+        const response = await send({ method: 'GET', path: 'http://a:99999/' });
+        assert.equal(response.status, 400);
+        // The server is still up
+        assert.equal((await send({ method: 'GET', path: '/healthz' })).status, 200);
+      });
+
+      it('reads a body sent without a Content-Type', async () => {
+        // API Gateway HTTP APIs pass such bodies base64 encoded
+        const response = await send({ method: 'POST', path: '/?action=create', body: JSON.stringify({ name: 'Ada' }) });
+        assert.equal(response.status, 200, response.body.toString());
+        assert.equal(json(response).player, 1);
+      });
+
+      it('serves the REST routes', async () => {
+        const game = await createGame();
+        const bearer = { Authorization: `Bearer ${game.p2.token}` };
+
+        // GET: seat token as a bearer token, other fields from the query string
+        let response = await send({ method: 'GET', path: `/v1/sessions/${game.sessionId}?player=2`, headers: bearer });
+        assert.equal(response.status, 200, response.body.toString());
+        assert.equal(json(response).state.p2Name, 'Grace');
+
+        // PATCH carries a body, which some platforms only read for POST
+        response = await send({
+          method: 'PATCH',
+          path: `/v1/sessions/${game.sessionId}/paddle`,
+          headers: { 'Content-Type': 'application/json', ...bearer },
+          body: JSON.stringify({ player: 2, paddleY: 150 })
+        });
+        assert.equal(response.status, 200, response.body.toString());
+        assert.equal((await fullState(game, game.p2)).p2Y, 150);
+
+        response = await send({ method: 'DELETE', path: `/v1/sessions/${game.sessionId}` });
+        assert.equal(response.status, 405);
+        assert.equal(response.headers.allow, 'GET');
+      });
+
+      it('returns a request ID', async () => {
+        const response = await send({ method: 'GET', path: '/healthz', headers: { 'X-Request-Id': 'contract-test-1' } });
+        assert.equal(response.status, 200);
+        // The platform's own ID wins where there is one; otherwise the caller's is kept
+        assert.equal(response.headers['x-request-id'], response.platformRequestId || 'contract-test-1');
+      });
+
+      it('serves the compressed client', async () => {
+        const response = await send({ method: 'GET', path: '/', headers: { 'Accept-Encoding': 'gzip' } });
+        assert.equal(response.status, 200, 'client not built? run npm run build:client');
+        assert.equal(response.headers['content-encoding'], 'gzip');
+        assert.match(response.headers['content-type'], /^text\/html/);
+        assert.match(zlib.gunzipSync(response.body).toString('utf8'), /<html/i);
+      });
+
+      it('revalidates the page with If-None-Match', async () => {
+        const page = await send({ method: 'GET', path: '/' });
+        assert.equal(page.status, 200);
+        assert.ok(page.headers.etag, 'no ETag on the page');
+
+        const revalidated = await send({ method: 'GET', path: '/', headers: { 'If-None-Match': page.headers.etag } });
+        assert.equal(revalidated.status, 304);
+        assert.equal(revalidated.body.length, 0);
+      });
+
+      it('answers the probes', async () => {
+        const ready = await send({ method: 'GET', path: '/readyz' });
+        assert.equal(ready.status, 200);
+        assert.equal(json(ready).store, store);
+
+        const metrics = await send({ method: 'GET', path: '/metrics' });
+        assert.equal(metrics.status, 200);
+        assert.match(metrics.body.toString('utf8'), /^# HELP pong_requests_total/m);
+      });
+    });
+  }
+}
+
+module.exports = { contractSuite };
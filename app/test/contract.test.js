@@ -0,0 +1,15 @@
+// The contract suite (contract.js) with sessions in the in-memory store, so it
+// runs offline.
+//
+// Run with `npm test`, which builds the client first for the asset checks.
+
+Object.assign(process.env, {
+  SESSION_STORE: 'memory',
+  // The flow polls faster than a real client; limits are not under test here
+  RATE_LIMIT: 'off',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent'
+});
+
+const { contractSuite } = require('./contract');
+
+contractSuite({ store: 'memory' });
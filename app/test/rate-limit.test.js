@@ -0,0 +1,65 @@
+// Rate limits through handleRequest, which the contract suite runs without.
+// Sessions and buckets live in the in-memory store.
+
+Object.assign(process.env, {
+  SESSION_STORE: 'memory',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent'
+});
+delete process.env.RATE_LIMIT;
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { handleRequest } = require('../src/pong');
+const { createRequest } = require('../src/http');
+
+async function action(name, body, clientIp) {
+  const response = await handleRequest(createRequest({
+    method: 'POST',
+    url: `/?action=${name}`,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    clientIp
+  }));
+  return { status: response.statusCode, headers: response.headers, data: JSON.parse(response.body) };
+}
+
+describe('rate limits', () => {
+  it('answers 429 with Retry-After once an IP has used its create budget', async () => {
+    let response;
+    for (let i = 0; i < 60; i++) {
+      response = await action('create', { name: 'Ada' }, '198.51.100.1');
+      if (response.status !== 200) break;
+    }
+    assert.equal(response.status, 429);
+    assert.equal(response.data.success, false);
+    assert.ok(Number(response.headers['Retry-After']) >= 1);
+
+    // Another address has its own budget
+    assert.equal((await action('create', { name: 'Grace' }, '198.51.100.2')).status, 200);
+  });
+
+  it('leaves room for several players behind one address', async () => {
+    // Three lobbies, each creating on load and on a couple of rule changes...
+    for (let i = 0; i < 9; i++) {
+      assert.equal((await action('create', {}, '198.51.100.3')).status, 200);
+    }
+    // ...and three players in the queue for several seconds' worth of polls
+    for (let i = 0; i < 15; i++) {
+      assert.notEqual((await action('queue', {}, '198.51.100.3')).status, 429);
+    }
+  });
+
+  it("doesn't let other callers use up a seated player's state budget", async () => {
+    const created = await action('create', { name: 'Ada' }, '198.51.100.4');
+    const seat = { sessionId: created.data.sessionId, player: 1, token: created.data.token };
+
+    // Polled without a token, as a spectator, and with a wrong one
+    for (let i = 0; i < 250; i++) {
+      await action('state', { sessionId: seat.sessionId }, '198.51.100.5');
+      await action('state', { ...seat, token: 'not-the-token' }, '198.51.100.5');
+    }
+
+    const { status } = await action('state', seat, '198.51.100.4');
+    assert.equal(status, 200);
+  });
+});
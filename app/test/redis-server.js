@@ -0,0 +1,528 @@
+// In-process Redis stand-in for the contract tests: a RESP2 server over TCP
+// with the commands the session store uses, so the real client, the Redis
+// store and the servers spawned by transports.js all run against it.
+//
+// Keys expire, MULTI/EXEC queues commands, and EVAL runs the script in a Lua
+// VM (fengari). Everything else Redis does is left out. setLatency() delays
+// every reply, as a network round trip would.
+
+const net = require('net');
+const { lua, lauxlib, lualib, to_luastring } = require('fengari');
+
+class ReplyError extends Error {}
+
+const OK = { status: 'OK' };
+const QUEUED = { status: 'QUEUED' };
+const PONG = { status: 'PONG' };
+
+function encode(reply) {
+  if (reply === null || reply === undefined) {
+    return '$-1\r\n';
+  }
+  if (reply instanceof ReplyError) {
+    return `-${reply.message}\r\n`;
+  }
+  if (typeof reply === 'number') {
+    return `:${reply}\r\n`;
+  }
+  if (Array.isArray(reply)) {
+    return `*${reply.length}\r\n${reply.map(encode).join('')}`;
+  }
+  if (reply.status) {
+    return `+${reply.status}\r\n`;
+  }
+  const text = String(reply);
+  return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+// Parse the complete commands (arrays of bulk strings) at the start of
+// `buffer`. Resolves to { commands, rest }, rest being a partial command.
+function parse(buffer) {
+  const commands = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const start = offset;
+    const line = () => {
+      const end = buffer.indexOf('\r\n', offset);
+      if (end === -1) return null;
+      const text = buffer.toString('utf8', offset, end);
+      offset = end + 2;
+      return text;
+    };
+
+    const header = line();
+    if (header === null) {
+      return { commands, rest: buffer.subarray(start) };
+    }
+    const args = [];
+    const count = parseInt(header.slice(1), 10);
+    for (let i = 0; i < count; i++) {
+      const length = line();
+      if (length === null || buffer.length < offset + parseInt(length.slice(1), 10) + 2) {
+        return { commands, rest: buffer.subarray(start) };
+      }
+      const size = parseInt(length.slice(1), 10);
+      args.push(buffer.toString('utf8', offset, offset + size));
+      offset += size + 2;
+    }
+    commands.push(args);
+  }
+  return { commands, rest: Buffer.alloc(0) };
+}
+
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+// A ZRANGEBYSCORE bound: -inf, +inf, a number, or an exclusive (number
+function scoreBound(bound) {
+  const exclusive = bound.startsWith('(');
+  const value = parseFloat(exclusive ? bound.slice(1) : bound.replace(/^\+?inf$/, 'Infinity').replace(/^-inf$/, '-Infinity'));
+  return { value, exclusive };
+}
+
+// Start and stop indexes, negative ones counted from the end, as a slice
+function sliceRange(length, start, stop) {
+  let from = parseInt(start, 10);
+  let to = parseInt(stop, 10);
+  if (from < 0) from = Math.max(0, length + from);
+  if (to < 0) to = length + to;
+  return [from, Math.min(to, length - 1) + 1];
+}
+
+function createRedisServer() {
+  // key -> { type, value, expiresAt }
+  const data = new Map();
+  // channel -> Set of connections
+  const channels = new Map();
+  const sockets = new Set();
+  let latency = 0;
+  let lastStreamId = { ms: 0, seq: 0 };
+
+  function entry(key, type) {
+    const found = data.get(key);
+    if (found && found.expiresAt !== null && found.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    if (found && type && found.type !== type) {
+      throw new ReplyError('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return found || null;
+  }
+
+  // The key's entry, created empty if missing
+  function upsert(key, type, empty) {
+    const found = entry(key, type);
+    if (found) {
+      return found;
+    }
+    const created = { type, value: empty, expiresAt: null };
+    data.set(key, created);
+    return created;
+  }
+
+  function removeIfEmpty(key, found) {
+    const size = found.value instanceof Map ? found.value.size : found.value.length;
+    if (size === 0) {
+      data.delete(key);
+    }
+  }
+
+  function sortedMembers(zset) {
+    return [...zset.entries()].sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  }
+
+  function withScores(members) {
+    return members.flatMap(([member, score]) => [member, String(score)]);
+  }
+
+  function nextStreamId() {
+    const ms = Date.now();
+    lastStreamId = ms > lastStreamId.ms ? { ms, seq: 0 } : { ms: lastStreamId.ms, seq: lastStreamId.seq + 1 };
+    return `${lastStreamId.ms}-${lastStreamId.seq}`;
+  }
+
+  function compareStreamIds(a, b) {
+    const [aMs, aSeq = 0] = a.split('-').map(Number);
+    const [bMs, bSeq = 0] = b.split('-').map(Number);
+    return aMs - bMs || aSeq - bSeq;
+  }
+
+  function publish(channel, message) {
+    const subscribers = channels.get(channel) || new Set();
+    subscribers.forEach((connection) => connection.send(['message', channel, message]));
+    return subscribers.size;
+  }
+
+  function unsubscribe(connection, channel) {
+    connection.channels.delete(channel);
+    const subscribers = channels.get(channel);
+    if (subscribers) {
+      subscribers.delete(connection);
+      if (subscribers.size === 0) channels.delete(channel);
+    }
+  }
+
+  const COMMANDS = {
+    PING: () => PONG,
+    SELECT: () => OK,
+    CLIENT: () => OK,
+
+    GET: ([key]) => {
+      const found = entry(key, 'string');
+      return found ? found.value : null;
+    },
+    SETEX: ([key, seconds, value]) => {
+      data.set(key, { type: 'string', value, expiresAt: Date.now() + parseInt(seconds, 10) * 1000 });
+      return OK;
+    },
+    GETDEL: ([key]) => {
+      const found = entry(key, 'string');
+      if (!found) return null;
+      data.delete(key);
+      return found.value;
+    },
+    DEL: (keys) => keys.filter((key) => {
+      const found = entry(key);
+      data.delete(key);
+      return Boolean(found);
+    }).length,
+    EXPIRE: ([key, seconds]) => COMMANDS.PEXPIRE([key, String(parseInt(seconds, 10) * 1000)]),
+    PEXPIRE: ([key, ms]) => {
+      const found = entry(key);
+      if (!found) return 0;
+      found.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+    SCAN: (args) => {
+      const match = args.indexOf('MATCH');
+      const pattern = globToRegExp(match === -1 ? '*' : args[match + 1]);
+      return ['0', [...data.keys()].filter((key) => pattern.test(key) && entry(key))];
+    },
+
+    HMGET: ([key, ...fields]) => {
+      const found = entry(key, 'hash');
+      return fields.map((field) => (found && found.value.has(field) ? found.value.get(field) : null));
+    },
+    HSET: ([key, ...pairs]) => {
+      const hash = upsert(key, 'hash', new Map()).value;
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!hash.has(pairs[i])) added++;
+        hash.set(pairs[i], pairs[i + 1]);
+      }
+      return added;
+    },
+
+    LPUSH: ([key, ...values]) => {
+      const list = upsert(key, 'list', []).value;
+      values.forEach((value) => list.unshift(value));
+      return list.length;
+    },
+    LTRIM: ([key, start, stop]) => {
+      const found = entry(key, 'list');
+      if (found) {
+        found.value = found.value.slice(...sliceRange(found.value.length, start, stop));
+        removeIfEmpty(key, found);
+      }
+      return OK;
+    },
+    LRANGE: ([key, start, stop]) => {
+      const found = entry(key, 'list');
+      return found ? found.value.slice(...sliceRange(found.value.length, start, stop)) : [];
+    },
+    LLEN: ([key]) => {
+      const found = entry(key, 'list');
+      return found ? found.value.length : 0;
+    },
+
+    ZADD: ([key, ...args]) => {
+      const onlyExisting = args[0] === 'XX';
+      const pairs = onlyExisting ? args.slice(1) : args;
+      const zset = upsert(key, 'zset', new Map());
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        const member = pairs[i + 1];
+        if (onlyExisting && !zset.value.has(member)) continue;
+        if (!zset.value.has(member)) added++;
+        zset.value.set(member, parseFloat(pairs[i]));
+      }
+      removeIfEmpty(key, zset);
+      return added;
+    },
+    ZINCRBY: ([key, increment, member]) => {
+      const zset = upsert(key, 'zset', new Map()).value;
+      zset.set(member, (zset.get(member) || 0) + parseFloat(increment));
+      return String(zset.get(member));
+    },
+    ZSCORE: ([key, member]) => {
+      const found = entry(key, 'zset');
+      return found && found.value.has(member) ? String(found.value.get(member)) : null;
+    },
+    ZCARD: ([key]) => {
+      const found = entry(key, 'zset');
+      return found ? found.value.size : 0;
+    },
+    ZRANGE: ([key, start, stop, ...options]) => {
+      const found = entry(key, 'zset');
+      if (!found) return [];
+      const members = sortedMembers(found.value);
+      if (options.includes('REV')) members.reverse();
+      const range = members.slice(...sliceRange(members.length, start, stop));
+      return options.includes('WITHSCORES') ? withScores(range) : range.map(([member]) => member);
+    },
+    ZREMRANGEBYSCORE: ([key, min, max]) => {
+      const found = entry(key, 'zset');
+      if (!found) return 0;
+      const low = scoreBound(min);
+      const high = scoreBound(max);
+      let removed = 0;
+      for (const [member, score] of found.value) {
+        const aboveLow = low.exclusive ? score > low.value : score >= low.value;
+        const belowHigh = high.exclusive ? score < high.value : score <= high.value;
+        if (aboveLow && belowHigh) {
+          found.value.delete(member);
+          removed++;
+        }
+      }
+      removeIfEmpty(key, found);
+      return removed;
+    },
+    ZPOPMIN: ([key, count = '1']) => {
+      const found = entry(key, 'zset');
+      if (!found) return [];
+      const popped = sortedMembers(found.value).slice(0, parseInt(count, 10));
+      popped.forEach(([member]) => found.value.delete(member));
+      removeIfEmpty(key, found);
+      return withScores(popped);
+    },
+
+    // XADD key [MAXLEN [=|~] threshold] id field value ...
+    XADD: ([key, ...args]) => {
+      let maxLength = Infinity;
+      if (args[0] === 'MAXLEN') {
+        const skip = args[1] === '~' || args[1] === '=' ? 1 : 0;
+        maxLength = parseInt(args[1 + skip], 10);
+        args = args.slice(2 + skip);
+      }
+      const [requestedId, ...fields] = args;
+      const id = requestedId === '*' ? nextStreamId() : requestedId;
+      const stream = upsert(key, 'stream', []).value;
+      stream.push({ id, fields });
+      stream.splice(0, Math.max(0, stream.length - maxLength));
+      return id;
+    },
+    // XRANGE key start end [COUNT count], where start may be exclusive: (id
+    XRANGE: ([key, start, end, , count]) => {
+      const found = entry(key, 'stream');
+      if (!found) return [];
+      const after = start.startsWith('(');
+      const from = after ? start.slice(1) : start;
+      return found.value
+        .filter(({ id }) => (from === '-' || compareStreamIds(id, from) > (after ? 0 : -1)) && (end === '+' || compareStreamIds(id, end) <= 0))
+        .slice(0, count === undefined ? Infinity : parseInt(count, 10))
+        .map(({ id, fields }) => [id, fields]);
+    },
+
+    PUBLISH: ([channel, message]) => publish(channel, message),
+
+    EVAL: ([script, keyCount, ...rest], connection) => {
+      const count = parseInt(keyCount, 10);
+      return evalScript(script, rest.slice(0, count), rest.slice(count), connection);
+    }
+  };
+
+  // Commands that change the connection rather than the data
+  const CONNECTION_COMMANDS = {
+    MULTI: (args, connection) => {
+      connection.queued = [];
+      return OK;
+    },
+    DISCARD: (args, connection) => {
+      connection.queued = null;
+      return OK;
+    },
+    EXEC: (args, connection) => {
+      const queued = connection.queued;
+      if (!queued) {
+        return new ReplyError('ERR EXEC without MULTI');
+      }
+      connection.queued = null;
+      return queued.map((command) => run(command, connection));
+    },
+    SUBSCRIBE: (names, connection) => {
+      names.forEach((channel) => {
+        connection.channels.add(channel);
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(connection);
+        connection.send(['subscribe', channel, connection.channels.size]);
+      });
+    },
+    UNSUBSCRIBE: (names, connection) => {
+      const leaving = names.length > 0 ? names : [...connection.channels];
+      leaving.forEach((channel) => {
+        unsubscribe(connection, channel);
+        connection.send(['unsubscribe', channel, connection.channels.size]);
+      });
+    },
+    QUIT: (args, connection) => {
+      connection.send(OK);
+      connection.socket.end();
+    }
+  };
+
+  function run([name, ...args], connection) {
+    const command = COMMANDS[name.toUpperCase()];
+    if (!command) {
+      return new ReplyError(`ERR unknown command '${name}'`);
+    }
+    try {
+      return command(args, connection);
+    } catch (error) {
+      if (error instanceof ReplyError) return error;
+      throw error;
+    }
+  }
+
+  function handle(args, connection) {
+    const name = args[0].toUpperCase();
+    if (CONNECTION_COMMANDS[name]) {
+      const reply = CONNECTION_COMMANDS[name](args.slice(1), connection);
+      if (reply !== undefined) connection.send(reply);
+    } else if (connection.queued) {
+      connection.queued.push(args);
+      connection.send(QUEUED);
+    } else {
+      connection.send(run(args, connection));
+    }
+  }
+
+  // Lua values as replies and back, the way Redis converts them
+  function pushLua(L, reply) {
+    if (reply === null) {
+      lua.lua_pushboolean(L, false);
+    } else if (typeof reply === 'number') {
+      lua.lua_pushinteger(L, reply);
+    } else if (Array.isArray(reply)) {
+      lua.lua_createtable(L, reply.length, 0);
+      reply.forEach((item, i) => {
+        pushLua(L, item);
+        lua.lua_rawseti(L, -2, i + 1);
+      });
+    } else if (reply.status) {
+      lua.lua_createtable(L, 0, 1);
+      lua.lua_pushstring(L, to_luastring(reply.status));
+      lua.lua_setfield(L, -2, to_luastring('ok'));
+    } else {
+      lua.lua_pushstring(L, to_luastring(String(reply)));
+    }
+  }
+
+  function fromLua(L, index) {
+    const absolute = lua.lua_absindex(L, index);
+    switch (lua.lua_type(L, absolute)) {
+      case lua.LUA_TNUMBER:
+        return Math.trunc(lua.lua_tonumber(L, absolute));
+      case lua.LUA_TSTRING:
+        return lua.lua_tojsstring(L, absolute);
+      case lua.LUA_TBOOLEAN:
+        return lua.lua_toboolean(L, absolute) ? 1 : null;
+      case lua.LUA_TTABLE: {
+        const items = [];
+        for (let i = 1; lua.lua_rawgeti(L, absolute, i) !== lua.LUA_TNIL; i++) {
+          items.push(fromLua(L, -1));
+          lua.lua_pop(L, 1);
+        }
+        lua.lua_pop(L, 1);
+        return items;
+      }
+      default:
+        return null;
+    }
+  }
+
+  function setGlobalArray(L, name, values) {
+    pushLua(L, values);
+    lua.lua_setglobal(L, to_luastring(name));
+  }
+
+  // Runs to completion before any other command, as in Redis
+  function evalScript(script, keys, argv, connection) {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+    setGlobalArray(L, 'KEYS', keys);
+    setGlobalArray(L, 'ARGV', argv);
+
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushjsfunction(L, (state) => {
+      const args = [];
+      for (let i = 1; i <= lua.lua_gettop(state); i++) {
+        args.push(lua.lua_tojsstring(state, i));
+      }
+      const reply = run(args, connection);
+      if (reply instanceof ReplyError) {
+        return lauxlib.luaL_error(state, to_luastring(reply.message));
+      }
+      pushLua(state, reply);
+      return 1;
+    });
+    lua.lua_setfield(L, -2, to_luastring('call'));
+    lua.lua_setglobal(L, to_luastring('redis'));
+
+    if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      return new ReplyError(`ERR Error running script: ${lua.lua_tojsstring(L, -1)}`);
+    }
+    return fromLua(L, -1);
+  }
+
+  const server = net.createServer((socket) => {
+    const connection = {
+      socket,
+      queued: null,
+      channels: new Set(),
+      send: (reply) => socket.write(encode(reply))
+    };
+    let pending = Buffer.alloc(0);
+
+    sockets.add(socket);
+    socket.on('data', (chunk) => {
+      const { commands, rest } = parse(Buffer.concat([pending, chunk]));
+      pending = rest;
+      // Equal delays fire in order, so each connection's commands stay in order
+      if (latency > 0) {
+        setTimeout(() => commands.forEach((args) => handle(args, connection)), latency);
+      } else {
+        commands.forEach((args) => handle(args, connection));
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      sockets.delete(socket);
+      [...connection.channels].forEach((channel) => unsubscribe(connection, channel));
+    });
+  });
+
+  return {
+    // Resolves to the port
+    listen() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+      });
+    },
+
+    // Delay every command by `ms`, from now on
+    setLatency(ms) {
+      latency = ms;
+    },
+
+    close() {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createRedisServer };
@@ -0,0 +1,305 @@
+// Ways of reaching handleRequest for the contract tests: directly, through each
+// serverless adapter with events shaped like its platform's (see fixtures/), and
+// over HTTP to the servers. Every transport has the same send():
+//
+//   send({ method, path, headers, body }) -> { status, headers, body }
+//
+// path includes the query string; body is text or null. Response header names
+// are lower case and the body is a Buffer, whatever the platform returned.
+// Transports whose platform assigns request IDs also return platformRequestId,
+// the ID the event carried.
+// Transports marked overHttp take any request line, even one with a URL that
+// the others couldn't build an event from.
+
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { HttpRequest, HttpResponse } = require('@azure/functions');
+const { getTestServer } = require('@google-cloud/functions-framework/testing');
+
+const { handleRequest } = require('../src/pong');
+const { createRequest } = require('../src/http');
+const lambda = require('../src/lambda');
+const azure = require('../src/azure');
+const { fetch: fetchHandler } = require('../src/fetch');
+require('../src/gcp');
+
+const apiGatewayV1 = require('./fixtures/apigateway-v1.json');
+const apiGatewayV2 = require('./fixtures/apigateway-v2.json');
+const azureHttp = require('./fixtures/azure-http.json');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const SERVER_START_TIMEOUT = 10000;
+
+function lowerCaseHeaders(headers) {
+  const lowered = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    lowered[name.toLowerCase()] = value;
+  });
+  return lowered;
+}
+
+// The query as API Gateway payload 1.0 reports it: the last value of each
+// parameter, and every value in the multi-value map. Both are null when empty.
+function queryParametersV1(searchParams) {
+  if ([...searchParams.keys()].length === 0) {
+    return { single: null, multi: null };
+  }
+  const single = {};
+  const multi = {};
+  searchParams.forEach((value, name) => {
+    single[name] = value;
+    multi[name] = (multi[name] || []).concat(value);
+  });
+  return { single, multi };
+}
+
+function lambdaResponse(result) {
+  const headers = lowerCaseHeaders(result.headers);
+  Object.entries(lowerCaseHeaders(result.multiValueHeaders)).forEach(([name, values]) => {
+    headers[name] = values;
+  });
+  if (result.cookies) {
+    headers['set-cookie'] = result.cookies;
+  }
+  const body = result.isBase64Encoded
+    ? Buffer.from(result.body, 'base64')
+    : Buffer.from(result.body || '');
+  return { status: result.statusCode, headers, body };
+}
+
+const direct = {
+  name: 'handleRequest',
+  async start() {
+    return {
+      async send({ method, path: url, headers = {}, body = null }) {
+        const response = await handleRequest(createRequest({ method, url, headers, body, clientIp: '127.0.0.1' }));
+        return {
+          status: response.statusCode,
+          headers: lowerCaseHeaders(response.headers),
+          body: Buffer.isBuffer(response.body) ? response.body : Buffer.from(response.body)
+        };
+      }
+    };
+  }
+};
+
+// API Gateway REST API, payload format 1.0
+const lambdaV1 = {
+  name: 'lambda.js (API Gateway v1)',
+  async start() {
+    return {
+      async send({ method, path: url, headers = {}, body = null }) {
+        const event = structuredClone(apiGatewayV1);
+        const { pathname, searchParams } = new URL(url, 'http://localhost');
+        const query = queryParametersV1(searchParams);
+
+        event.httpMethod = method;
+        event.path = pathname;
+        event.pathParameters = { proxy: pathname.slice(1) };
+        event.queryStringParameters = query.single;
+        event.multiValueQueryStringParameters = query.multi;
+        Object.entries(headers).forEach(([name, value]) => {
+          event.headers[name] = value;
+          event.multiValueHeaders[name] = [value];
+        });
+        event.body = body;
+        event.requestContext.httpMethod = method;
+        event.requestContext.path = `/prod${pathname}`;
+        event.requestContext.requestId = crypto.randomUUID();
+
+        const response = lambdaResponse(await lambda.handler(event));
+        return { ...response, platformRequestId: event.requestContext.requestId };
+      }
+    };
+  }
+};
+
+// API Gateway HTTP API, payload format 2.0. It moves cookies out of the
+// headers, and base64 encodes bodies that don't say they are text.
+const lambdaV2 = {
+  name: 'lambda.js (API Gateway v2)',
+  async start() {
+    return {
+      async send({ method, path: url, headers = {}, body = null }) {
+        const event = structuredClone(apiGatewayV2);
+        const { pathname, search } = new URL(url, 'http://localhost');
+        const eventHeaders = { ...event.headers, ...lowerCaseHeaders(headers) };
+
+        if (eventHeaders.cookie) {
+          event.cookies = eventHeaders.cookie.split(/;\s*/);
+          delete eventHeaders.cookie;
+        }
+        event.rawPath = pathname;
+        event.rawQueryString = search.slice(1);
+        event.headers = eventHeaders;
+        if (body !== null) {
+          const isText = /^(text\/|application\/json)/.test(eventHeaders['content-type'] || '');
+          event.body = isText ? body : Buffer.from(body).toString('base64');
+          event.isBase64Encoded = !isText;
+          event.headers['content-length'] = String(Buffer.byteLength(body));
+        }
+        event.requestContext.http.method = method;
+        event.requestContext.http.path = pathname;
+        event.requestContext.requestId = crypto.randomUUID();
+
+        const response = lambdaResponse(await lambda.handler(event));
+        return { ...response, platformRequestId: event.requestContext.requestId };
+      }
+    };
+  }
+};
+
+// Azure Functions, called the way the host does: an HttpRequest under /api, and
+// the returned init turned into an HttpResponse
+const azureFunctions = {
+  name: 'azure.js',
+  async start() {
+    return {
+      async send({ method, path: url, headers = {}, body = null }) {
+        const fixture = azureHttp.request;
+        const requestUrl = new URL(`/api${url}`, fixture.url).toString();
+        const request = new HttpRequest({
+          method,
+          url: requestUrl,
+          headers: { ...fixture.headers, ...lowerCaseHeaders(headers) },
+          params: { path: new URL(requestUrl).pathname.replace(/^\/api\/?/, '') },
+          ...(body !== null && { body: { string: body } })
+        });
+        const context = { ...azureHttp.context, invocationId: crypto.randomUUID() };
+
+        const response = new HttpResponse(await azure.handler(request, context));
+        const responseHeaders = Object.fromEntries(response.headers);
+        if (response.cookies.length > 0) {
+          responseHeaders['set-cookie'] = response.cookies;
+        }
+        return {
+          status: response.status,
+          headers: responseHeaders,
+          body: Buffer.from(await response.arrayBuffer()),
+          platformRequestId: context.invocationId
+        };
+      }
+    };
+  }
+};
+
+const fetchApi = {
+  name: 'fetch.js',
+  async start() {
+    return {
+      async send({ method, path: url, headers = {}, body = null }) {
+        const request = new Request(new URL(url, 'https://worker.example'), { method, headers, body });
+        const response = await fetchHandler(request);
+        return {
+          status: response.status,
+          headers: Object.fromEntries(response.headers),
+          body: Buffer.from(await response.arrayBuffer())
+        };
+      }
+    };
+  }
+};
+
+// Plain HTTP, without decompressing, so Content-Encoding can be checked
+function httpSender(port) {
+  return ({ method, path: url, headers = {}, body = null }) => new Promise((resolve, reject) => {
+    const request = http.request({ host: '127.0.0.1', port, method, path: url, headers, agent: false }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks)
+      }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body === null ? undefined : body);
+  });
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Run a server script in its own process and wait until it answers /healthz
+async function startServer(script) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(SRC_DIR, script)], {
+    env: { ...process.env, PORT: String(port) },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+  const send = httpSender(port);
+
+  const deadline = Date.now() + SERVER_START_TIMEOUT;
+  while (true) {
+    try {
+      const response = await send({ method: 'GET', path: '/healthz' });
+      if (response.status === 200) break;
+    } catch (error) {
+      // Not listening yet
+    }
+    if (child.exitCode !== null || Date.now() > deadline) {
+      child.kill();
+      throw new Error(`${script} did not start on port ${port}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  return {
+    send,
+    async close() {
+      if (child.exitCode === null) {
+        child.kill();
+      }
+      await exited;
+    }
+  };
+}
+
+const express = {
+  name: 'local.js (Express over HTTP)',
+  overHttp: true,
+  start: () => startServer('local.js')
+};
+
+const nodeHttp = {
+  name: 'node-http.js (over HTTP)',
+  overHttp: true,
+  start: () => startServer('node-http.js')
+};
+
+// The Functions Framework's own server, in this process. Cloud Functions
+// passes each request's execution ID in a header, as this does.
+const googleCloud = {
+  name: 'gcp.js (Functions Framework over HTTP)',
+  overHttp: true,
+  async start() {
+    const server = getTestServer('pong');
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const send = httpSender(server.address().port);
+    return {
+      async send(request) {
+        const executionId = crypto.randomBytes(6).toString('hex');
+        const headers = { ...request.headers, 'Function-Execution-Id': executionId };
+        return { ...await send({ ...request, headers }), platformRequestId: executionId };
+      },
+      close: () => new Promise((resolve) => server.close(resolve))
+    };
+  }
+};
+
+const TRANSPORTS = [direct, lambdaV1, lambdaV2, azureFunctions, fetchApi, express, nodeHttp, googleCloud];
+
+module.exports = { TRANSPORTS };
@@ -108,6 +108,9 @@ echo "   cd pong"
 echo "   npm run build:local   # For Kubernetes deployment"
 echo "   npm run build:lambda  # For AWS Lambda"
 echo "   npm run build:azure   # For Azure Functions"
+echo "   npm run build:node    # For the node:http server"
+echo "   npm run build:gcp     # For Google Cloud Run / Cloud Functions"
+echo "   npm run build:fetch   # For the Fetch API handler on Bun"
 echo "   npm run build:all     # Build all images"
 echo ""
 echo "3️⃣  Deploy to Kubernetes with Radius:"